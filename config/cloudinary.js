@@ -31,4 +31,77 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB
 });
 
-module.exports = { upload, cloudinary };
\ No newline at end of file
+// ========================================
+// PRIVATE DOCUMENTS (PDF / scans)
+// ========================================
+// Stored as 'private' assets: the Cloudinary URL alone doesn't open them,
+// callers hand out short-lived signed links from getSignedDownloadUrl().
+const DOCUMENT_FORMATS = {
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+// Product attachments (spec sheets, MSDS, lab analyses) may also be office files
+const PRODUCT_DOCUMENT_FORMATS = {
+  ...DOCUMENT_FORMATS,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+const createDocumentUpload = ({ folder, maxSizeMB = 10, formats = DOCUMENT_FORMATS } = {}) => {
+  const documentStorage = new CloudinaryStorage({
+    cloudinary: cloudinary,
+    params: async (req, file) => ({
+      folder,
+      type: 'private',
+      resource_type: file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf' ? 'image' : 'raw',
+      format: formats[file.mimetype]
+    })
+  });
+
+  return multer({
+    storage: documentStorage,
+    limits: { fileSize: maxSizeMB * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      if (formats[file.mimetype]) {
+        cb(null, true);
+      } else {
+        const error = new Error(`Only ${Object.values(formats).join(', ')} files are allowed`);
+        error.status = 400;
+        cb(error, false);
+      }
+    }
+  });
+};
+
+// ✅ Describe an uploaded private file for storage on a document
+const describeUploadedDocument = (file, formats = DOCUMENT_FORMATS) => ({
+  fileName: file.originalname,
+  publicId: file.filename,
+  format: formats[file.mimetype],
+  resourceType: file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf' ? 'image' : 'raw',
+  size: file.size
+});
+
+// ✅ Signed, expiring download link for a private asset
+const getSignedDownloadUrl = ({ publicId, format, resourceType = 'image' }, expiresInSeconds = 300) =>
+  cloudinary.utils.private_download_url(publicId, format, {
+    resource_type: resourceType,
+    type: 'private',
+    expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+  });
+
+const deletePrivateDocument = ({ publicId, resourceType = 'image' }) =>
+  cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: 'private' });
+
+module.exports = {
+  upload,
+  cloudinary,
+  DOCUMENT_FORMATS,
+  PRODUCT_DOCUMENT_FORMATS,
+  createDocumentUpload,
+  describeUploadedDocument,
+  getSignedDownloadUrl,
+  deletePrivateDocument
+};
\ No newline at end of file
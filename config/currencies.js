@@ -0,0 +1,97 @@
+// ========================================
+// CURRENCY REGISTRY
+// ========================================
+// ISO 4217 currencies the catalogue can price and convert in, with their
+// number of minor units (decimals used when rounding converted amounts).
+//
+// CURRENCY_ROUNDING  how converted amounts are rounded to minor units:
+//   half-up (default) | half-even | up | down
+
+const CURRENCIES = {
+  USD: { name: 'US Dollar', decimals: 2 },
+  EUR: { name: 'Euro', decimals: 2 },
+  GBP: { name: 'Pound Sterling', decimals: 2 },
+  CHF: { name: 'Swiss Franc', decimals: 2 },
+  CAD: { name: 'Canadian Dollar', decimals: 2 },
+  AUD: { name: 'Australian Dollar', decimals: 2 },
+  JPY: { name: 'Yen', decimals: 0 },
+  CNY: { name: 'Yuan Renminbi', decimals: 2 },
+  INR: { name: 'Indian Rupee', decimals: 2 },
+  TRY: { name: 'Turkish Lira', decimals: 2 },
+  SAR: { name: 'Saudi Riyal', decimals: 2 },
+  AED: { name: 'UAE Dirham', decimals: 2 },
+  QAR: { name: 'Qatari Rial', decimals: 2 },
+  KWD: { name: 'Kuwaiti Dinar', decimals: 3 },
+  BHD: { name: 'Bahraini Dinar', decimals: 3 },
+  OMR: { name: 'Rial Omani', decimals: 3 },
+  JOD: { name: 'Jordanian Dinar', decimals: 3 },
+  EGP: { name: 'Egyptian Pound', decimals: 2 },
+  MAD: { name: 'Moroccan Dirham', decimals: 2 },
+  TND: { name: 'Tunisian Dinar', decimals: 3 }
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+const ROUNDING_MODES = ['half-up', 'half-even', 'up', 'down'];
+
+const ROUNDING_MODE = ROUNDING_MODES.includes(process.env.CURRENCY_ROUNDING)
+  ? process.env.CURRENCY_ROUNDING
+  : 'half-up';
+
+// ========================================
+// HELPERS
+// ========================================
+
+const isCurrency = (code) => CURRENCY_CODES.includes(String(code || '').toUpperCase());
+
+const currencyDecimals = (code) => {
+  const currency = CURRENCIES[String(code || '').toUpperCase()];
+  return currency ? currency.decimals : 2;
+};
+
+/**
+ * Round an amount to the minor units of `currency`, e.g.
+ *   roundAmount(10.005, 'USD')            → 10.01
+ *   roundAmount(10.005, 'USD', 'half-even') → 10
+ *   roundAmount(3.14159, 'KWD')           → 3.142
+ */
+const roundAmount = (amount, currency, mode = ROUNDING_MODE) => {
+  if (amount === undefined || amount === null || isNaN(amount)) return amount;
+
+  const factor = Math.pow(10, currencyDecimals(currency));
+  // toFixed strips binary noise such as 1.005 * 100 = 100.49999999999999
+  const scaled = Number((Math.abs(amount) * factor).toFixed(8));
+  const sign = amount < 0 ? -1 : 1;
+  let rounded;
+
+  switch (mode) {
+    case 'up':
+      rounded = Math.ceil(scaled);
+      break;
+    case 'down':
+      rounded = Math.floor(scaled);
+      break;
+    case 'half-even': {
+      const floor = Math.floor(scaled);
+      const diff = scaled - floor;
+      if (diff > 0.5) rounded = floor + 1;
+      else if (diff < 0.5) rounded = floor;
+      else rounded = floor % 2 === 0 ? floor : floor + 1;
+      break;
+    }
+    default:
+      rounded = Math.round(scaled);
+  }
+
+  return (sign * rounded) / factor;
+};
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_CODES,
+  ROUNDING_MODES,
+  ROUNDING_MODE,
+  isCurrency,
+  currencyDecimals,
+  roundAmount
+};
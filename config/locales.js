@@ -0,0 +1,116 @@
+// ========================================
+// LOCALE REGISTRY
+// ========================================
+// Single source of truth for the languages the site supports.
+//
+// To add a language:
+//   1. Make sure it is listed in LOCALE_DEFINITIONS below
+//   2. Add its code to SUPPORTED_LOCALES (env), e.g. SUPPORTED_LOCALES=en,ar,es,fr,de
+//   3. Optionally list it in REQUIRED_LANGUAGES for fields that must always be translated
+//
+// Schemas (via localizedString) and request validation (via missingTranslations)
+// pick the change up automatically.
+
+const LOCALE_DEFINITIONS = {
+  en: { name: 'English', nativeName: 'English', dir: 'ltr' },
+  ar: { name: 'Arabic', nativeName: 'العربية', dir: 'rtl' },
+  es: { name: 'Spanish', nativeName: 'Español', dir: 'ltr' },
+  fr: { name: 'French', nativeName: 'Français', dir: 'ltr' },
+  de: { name: 'German', nativeName: 'Deutsch', dir: 'ltr' }
+};
+
+const parseCodes = (value, fallback) =>
+  (value || fallback)
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(code => LOCALE_DEFINITIONS[code]);
+
+const LOCALES = [...new Set(parseCodes(process.env.SUPPORTED_LOCALES, 'en,ar,es'))];
+
+const DEFAULT_LOCALE = LOCALES.includes(process.env.DEFAULT_LOCALE)
+  ? process.env.DEFAULT_LOCALE
+  : (LOCALES.includes('en') ? 'en' : LOCALES[0]);
+
+const RTL_LOCALES = LOCALES.filter(code => LOCALE_DEFINITIONS[code].dir === 'rtl');
+
+// Languages each field must be filled in. 'all' means every enabled locale.
+// Fields not listed here have no required languages.
+const REQUIRED_LANGUAGES = {
+  'product.name': ['en', 'ar'],
+  'product.description': ['en', 'ar'],
+  'category.label': ['en', 'ar', 'es'],
+  'slide.title': ['en', 'ar']
+};
+
+// ========================================
+// HELPERS
+// ========================================
+
+const isSupportedLocale = (code) => LOCALES.includes(code);
+
+const getRequiredLanguages = (fieldKey) => {
+  const rule = REQUIRED_LANGUAGES[fieldKey];
+  if (!rule) return [];
+  if (rule === 'all') return [...LOCALES];
+  return rule.filter(isSupportedLocale);
+};
+
+/**
+ * Build the mongoose definition for a translated string, e.g.
+ *   name: localizedString('product.name', { label: 'name', trim: true })
+ * → { en: { type: String, trim: true, required: [true, 'English name is required'] }, ar: ..., es: ... }
+ */
+const localizedString = (fieldKey, options = {}) => {
+  const { label = 'text', trim = false, default: defaultValue } = options;
+  const required = getRequiredLanguages(fieldKey);
+  const definition = {};
+
+  LOCALES.forEach(code => {
+    const path = { type: String };
+    if (trim) path.trim = true;
+    if (defaultValue !== undefined) path.default = defaultValue;
+    if (required.includes(code)) {
+      path.required = [true, `${LOCALE_DEFINITIONS[code].name} ${label} is required`];
+    }
+    definition[code] = path;
+  });
+
+  return definition;
+};
+
+// ✅ Which required languages are missing from a { en, ar, ... } value
+const missingTranslations = (fieldKey, value) => {
+  const required = getRequiredLanguages(fieldKey);
+  if (!value || typeof value !== 'object') return required;
+
+  return required.filter(code => !value[code] || !String(value[code]).trim());
+};
+
+// ✅ { en: '', ar: '', ... } for every enabled locale
+const emptyTranslation = () =>
+  LOCALES.reduce((acc, code) => ({ ...acc, [code]: '' }), {});
+
+// ✅ Copy only enabled locales out of a translation object (e.g. for snapshots)
+const pickTranslations = (value) =>
+  LOCALES.reduce((acc, code) => ({ ...acc, [code]: (value && value[code]) || '' }), {});
+
+const getLocaleInfo = () => LOCALES.map(code => ({
+  code,
+  ...LOCALE_DEFINITIONS[code],
+  default: code === DEFAULT_LOCALE
+}));
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  RTL_LOCALES,
+  LOCALE_DEFINITIONS,
+  REQUIRED_LANGUAGES,
+  isSupportedLocale,
+  getRequiredLanguages,
+  localizedString,
+  missingTranslations,
+  emptyTranslation,
+  pickTranslations,
+  getLocaleInfo
+};
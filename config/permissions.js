@@ -0,0 +1,115 @@
+// ========================================
+// PERMISSIONS
+// ========================================
+// Every protected route requires one of these via requirePermission()
+// (middleware/auth.js). Roles are stored in MongoDB (models/Role.js) and
+// managed by superadmins through /api/roles; DEFAULT_ROLES below seeds
+// the built-in ones on startup.
+
+const PERMISSIONS = {
+  'products:write': 'Create and edit products, reindex search',
+  'products:delete': 'Delete products',
+  'inventory:read': 'View stock levels, warehouses, the movement ledger and low-stock reports',
+  'inventory:write': 'Receive, adjust and transfer stock, manage warehouses',
+  'pricing:read': 'View price lists, rate history and preview customer prices',
+  'pricing:write': 'Create, edit and delete price lists and exchange rates',
+  'categories:write': 'Create, edit and delete categories and their images',
+  'gallery:write': 'Upload, edit and delete gallery images',
+  'content:read': 'View all site content sections',
+  'content:publish': 'Edit and publish site content (hero slider, about, contact info...)',
+  'translations:read': 'View translation reports and work queue',
+  'translations:write': 'Fill in missing translations',
+  'inquiries:read': 'View contact inquiries',
+  'inquiries:write': 'Update inquiry status',
+  'inquiries:delete': 'Delete inquiries',
+  'quotations:read': 'View all quotations',
+  'quotations:write': 'Create, price and send quotations',
+  'quotations:delete': 'Delete quotations',
+  'orders:read': 'View all orders',
+  'orders:write': 'Update order status and shipment details',
+  'users:read': 'View user accounts and login history',
+  'users:write': 'Edit and unlock user accounts',
+  'users:delete': 'Delete user accounts',
+  'companies:read': 'View company verification requests and documents',
+  'companies:verify': 'Approve or reject company verification',
+  'roles:manage': 'Manage roles, permissions and role assignments'
+};
+
+const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+// Superadmins always hold every permission, whatever is stored for the role
+const SUPERADMIN_ROLE = 'superadmin';
+const DEFAULT_ROLE = 'user';
+
+const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    label: 'Customer',
+    description: 'Registered buyer - no back-office access',
+    permissions: []
+  },
+  {
+    name: 'content-editor',
+    label: 'Content Editor',
+    description: 'Marketing staff: site content, hero slider, gallery and translations',
+    permissions: [
+      'content:read', 'content:publish', 'gallery:write',
+      'translations:read', 'translations:write'
+    ]
+  },
+  {
+    name: 'catalog-manager',
+    label: 'Catalog Manager',
+    description: 'Products, categories and their translations',
+    permissions: [
+      'products:write', 'products:delete', 'categories:write', 'gallery:write',
+      'pricing:read', 'pricing:write', 'inventory:read', 'inventory:write',
+      'translations:read', 'translations:write'
+    ]
+  },
+  {
+    name: 'sales-rep',
+    label: 'Sales Representative',
+    description: 'Inquiries, quotations and orders',
+    permissions: [
+      'inquiries:read', 'inquiries:write', 'quotations:read', 'quotations:write',
+      'orders:read', 'orders:write', 'users:read', 'companies:read', 'pricing:read', 'inventory:read'
+    ]
+  },
+  {
+    name: 'admin',
+    label: 'Administrator',
+    description: 'Everything except role management',
+    permissions: PERMISSION_KEYS.filter(permission => permission !== 'roles:manage')
+  },
+  {
+    name: SUPERADMIN_ROLE,
+    label: 'Super Administrator',
+    description: 'Full access, including role management',
+    permissions: ['*']
+  }
+];
+
+const isValidPermission = (permission) =>
+  permission === '*' ||
+  PERMISSION_KEYS.includes(permission) ||
+  (/^[a-z-]+:\*$/.test(permission) && PERMISSION_KEYS.some(key => key.startsWith(permission.slice(0, -1))));
+
+// ✅ Does a permission list grant `permission`? Supports '*' and 'resource:*'
+const grants = (permissions, permission) => {
+  if (!permissions) return false;
+  const [resource] = permission.split(':');
+  return permissions.includes('*') ||
+    permissions.includes(permission) ||
+    permissions.includes(`${resource}:*`);
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  DEFAULT_ROLES,
+  SUPERADMIN_ROLE,
+  DEFAULT_ROLE,
+  isValidPermission,
+  grants
+};
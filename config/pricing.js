@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { CURRENCY_CODES, isCurrency } = require('./currencies');
+
+// ========================================
+// PRICING
+// ========================================
+// BASE_CURRENCY  currency of Product.price and of price lists created without
+//                one, and the reference for exchange rates (one of
+//                config/currencies.js, default USD)
+//
+// Who pays what is resolved by services/pricing.js:
+//   organization price list → country price list → wholesale (verified
+//   buyers) → product base price, each with optional quantity tiers.
+
+const BASE_CURRENCY = isCurrency(process.env.BASE_CURRENCY)
+  ? process.env.BASE_CURRENCY.toUpperCase()
+  : 'USD';
+
+const currencyCode = (options = {}) => ({
+  type: String,
+  uppercase: true,
+  trim: true,
+  enum: {
+    values: CURRENCY_CODES,
+    message: '{VALUE} is not a supported ISO 4217 currency code'
+  },
+  ...options
+});
+
+// One volume break: from `minQuantity` units on, each unit costs `price`
+const priceTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: [true, 'Tier minimum quantity is required'],
+    min: [1, 'Tier minimum quantity must be at least 1']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Tier price is required'],
+    min: [0, 'Tier price cannot be negative']
+  }
+}, { _id: false });
+
+/**
+ * Mongoose definition for quantity breaks, e.g.
+ *   priceTiers: priceTiers()
+ * Tiers are stored sorted by minQuantity; duplicates are rejected.
+ */
+const priceTiers = () => ({
+  type: [priceTierSchema],
+  default: [],
+  set: (tiers) => (Array.isArray(tiers)
+    ? [...tiers].sort((a, b) => Number(a && a.minQuantity) - Number(b && b.minQuantity))
+    : tiers),
+  validate: {
+    validator: (tiers) => tiers.every((tier, i) => i === 0 || tier.minQuantity > tiers[i - 1].minQuantity),
+    message: 'Price tiers cannot repeat a minimum quantity'
+  }
+});
+
+module.exports = {
+  BASE_CURRENCY,
+  currencyCode,
+  priceTiers
+};
@@ -0,0 +1,171 @@
+const { localizedString } = require('./locales');
+
+// ========================================
+// PRODUCT SPECIFICATIONS
+// ========================================
+// Structured technical data importers need for customs and labelling.
+// Numeric values are stored in the unit listed here (nutrition per 100 g),
+// so they can be compared and filtered: ?spec[oil.acidity][max]=0.8
+//
+// To add a numeric spec, list it below - the Product schema, validation,
+// filters and GET /api/products/specifications pick it up.
+
+const nutrient = (label, unit = 'g') => ({ label, unit, min: 0, max: 100 });
+
+const NUMERIC_SPECIFICATIONS = {
+  'nutrition.energyKcal': { label: 'Energy', unit: 'kcal', min: 0, max: 900 },
+  'nutrition.energyKj': { label: 'Energy', unit: 'kJ', min: 0, max: 3800 },
+  'nutrition.fat': nutrient('Fat'),
+  'nutrition.saturatedFat': nutrient('of which saturates'),
+  'nutrition.monounsaturatedFat': nutrient('of which mono-unsaturates'),
+  'nutrition.polyunsaturatedFat': nutrient('of which polyunsaturates'),
+  'nutrition.carbohydrates': nutrient('Carbohydrate'),
+  'nutrition.sugars': nutrient('of which sugars'),
+  'nutrition.fiber': nutrient('Fibre'),
+  'nutrition.protein': nutrient('Protein'),
+  'nutrition.salt': nutrient('Salt'),
+  // Olive oil quality (IOC / EU 2022/2104 limits: EVOO ≤ 0.8 %, ≤ 20 meq)
+  'oil.acidity': { label: 'Free acidity', unit: '% oleic acid', min: 0, max: 100 },
+  'oil.peroxideValue': { label: 'Peroxide value', unit: 'meq O2/kg', min: 0, max: 200 },
+  // Table olives are graded by fruits per kg, e.g. 121/140
+  'olives.caliberMin': { label: 'Caliber (from)', unit: 'fruits/kg', min: 1, max: 2000, integer: true },
+  'olives.caliberMax': { label: 'Caliber (to)', unit: 'fruits/kg', min: 1, max: 2000, integer: true },
+  'drainedWeight': { label: 'Drained weight', unit: 'g', min: 0, max: 1000000 },
+  'storage.minTemperature': { label: 'Storage temperature (min)', unit: '°C', min: -50, max: 60 },
+  'storage.maxTemperature': { label: 'Storage temperature (max)', unit: '°C', min: -50, max: 60 }
+};
+
+// The 14 allergens of EU Regulation 1169/2011 (Annex II)
+const ALLERGENS = [
+  'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+  'nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+];
+
+// Harmonized System code: 6 digits, up to 10 with national subheadings
+const HS_CODE_PATTERN = /^\d{6}(\d{2}){0,2}$/;
+
+// ========================================
+// SCHEMA
+// ========================================
+
+const numericPath = (key, { label, unit, min, max, integer }) => ({
+  type: Number,
+  min: [min, `${label} (${key}) cannot be below ${min} ${unit}`],
+  max: [max, `${label} (${key}) cannot exceed ${max} ${unit}`],
+  ...(integer && {
+    validate: {
+      validator: (value) => value === null || value === undefined || Number.isInteger(value),
+      message: `${label} (${key}) must be a whole number`
+    }
+  })
+});
+
+const allergenList = () => ({
+  type: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    enum: {
+      values: ALLERGENS,
+      message: `{VALUE} is not a recognised allergen (${ALLERGENS.join(', ')})`
+    }
+  }]
+});
+
+/**
+ * Mongoose definition of Product.specifications: the original free-text
+ * fields plus the structured ones, e.g.
+ *   specifications: specificationsDefinition()
+ */
+const specificationsDefinition = () => {
+  const definition = {
+    weight: {
+      type: String,
+      trim: true
+    },
+    packaging: localizedString('product.packaging'),
+    origin: localizedString('product.origin'),
+    shelfLife: {
+      type: String,
+      trim: true
+    },
+    storage: {
+      conditions: localizedString('product.storage')
+    },
+    allergens: allergenList(),
+    // Traces ("may contain")
+    mayContain: allergenList(),
+    hsCode: {
+      type: String,
+      trim: true,
+      // "1509.20.00" and "1509 20 00" are stored as 15092000
+      set: (value) => (typeof value === 'string' ? value.replace(/[\s.]/g, '') : value),
+      match: [HS_CODE_PATTERN, '{VALUE} is not a valid HS code (6, 8 or 10 digits)']
+    }
+  };
+
+  for (const [key, spec] of Object.entries(NUMERIC_SPECIFICATIONS)) {
+    const parts = key.split('.');
+    const leaf = parts.pop();
+    const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), definition);
+    parent[leaf] = numericPath(key, spec);
+  }
+
+  return definition;
+};
+
+// ========================================
+// HELPERS
+// ========================================
+
+const readPath = (object, key) => key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), object);
+
+const isSet = (value) => value !== null && value !== undefined;
+
+// ✅ Rules across fields - [{ path, message }], empty when consistent
+const specificationErrors = (specifications) => {
+  if (!specifications) return [];
+
+  const value = (key) => readPath(specifications, key);
+  const errors = [];
+  const notAbove = (lower, upper, message) => {
+    if (isSet(value(lower)) && isSet(value(upper)) && value(lower) > value(upper)) {
+      errors.push({ path: lower, message });
+    }
+  };
+
+  notAbove('nutrition.saturatedFat', 'nutrition.fat', 'Saturated fat cannot exceed total fat');
+  notAbove('nutrition.sugars', 'nutrition.carbohydrates', 'Sugars cannot exceed carbohydrates');
+  notAbove('olives.caliberMin', 'olives.caliberMax', 'Caliber "from" cannot exceed caliber "to"');
+  notAbove('storage.minTemperature', 'storage.maxTemperature', 'Minimum storage temperature cannot exceed the maximum');
+
+  const fats = ['nutrition.saturatedFat', 'nutrition.monounsaturatedFat', 'nutrition.polyunsaturatedFat']
+    .map(value).filter(isSet);
+  if (isSet(value('nutrition.fat')) && fats.reduce((total, grams) => total + grams, 0) > value('nutrition.fat') + 0.5) {
+    errors.push({ path: 'nutrition.fat', message: 'Fatty acid breakdown exceeds total fat' });
+  }
+
+  const macros = ['nutrition.fat', 'nutrition.carbohydrates', 'nutrition.fiber', 'nutrition.protein', 'nutrition.salt']
+    .map(value).filter(isSet);
+  if (macros.reduce((total, grams) => total + grams, 0) > 100.5) {
+    errors.push({ path: 'nutrition', message: 'Nutrients per 100 g cannot add up to more than 100 g' });
+  }
+
+  return errors;
+};
+
+// ✅ Spec catalogue for clients (forms, filter UIs)
+const getSpecificationInfo = () => ({
+  numeric: Object.entries(NUMERIC_SPECIFICATIONS).map(([key, spec]) => ({ key, ...spec })),
+  allergens: ALLERGENS,
+  hsCode: 'HS code, 6-10 digits (dots and spaces are ignored)'
+});
+
+module.exports = {
+  NUMERIC_SPECIFICATIONS,
+  ALLERGENS,
+  HS_CODE_PATTERN,
+  specificationsDefinition,
+  specificationErrors,
+  getSpecificationInfo
+};
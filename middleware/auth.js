@@ -1,14 +1,15 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const { grants } = require('../config/permissions');
 const crypto = require('crypto');
 
 // ========================================
 // SECURITY UTILITIES
 // ========================================
 
-// ✅ Token Blacklist (In-Memory - Use Redis in production)
-const tokenBlacklist = new Set();
-
 // ✅ Failed Login Attempts Tracker
 const loginAttempts = new Map();
 
@@ -75,6 +76,67 @@ const validateJWTSecret = () => {
   return secret;
 };
 
+// ========================================
+// TOKENS
+// ========================================
+// One access token format for the whole API:
+//   { userId, role, userType, sid }  - sid = server-side Session id
+// Tokens issued before sessions existed (7-day tokens without sid, some
+// with `id` instead of `userId`) are still accepted until
+// LEGACY_TOKENS_UNTIL (ISO date, unset = until they expire on their own);
+// responses to them carry X-Auth-Token-Deprecated so clients can re-login,
+// and a password change or logout voids them (see legacyTokenRevoked).
+
+const ACCESS_TOKEN_EXPIRY = process.env.ACCESS_TOKEN_EXPIRY || '15m';
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+const hasAdminRole = (user) => !!user && ADMIN_ROLES.includes(user.role);
+
+// ✅ Sign an access token bound to a session
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, role: user.role, userType: user.userType, sid: sessionId },
+  validateJWTSecret(),
+  { expiresIn: ACCESS_TOKEN_EXPIRY }
+);
+
+// Bearer header first, then cookie
+const extractToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  if (req.cookies && req.cookies.token) {
+    return req.cookies.token;
+  }
+  return null;
+};
+
+const legacyTokensAllowed = () => {
+  const until = process.env.LEGACY_TOKENS_UNTIL;
+  return !until || Date.now() < new Date(until).getTime();
+};
+
+// ✅ Sessionless tokens can't be revoked one by one: a password change or a
+// logout with such a token voids every one issued before it
+const legacyTokenRevoked = (decoded, user) => {
+  const issuedAt = (decoded.iat || 0) * 1000;
+  return [user.passwordChangedAt, user.legacyTokensRevokedAt]
+    .some(date => date && issuedAt < new Date(date).getTime());
+};
+
+// ✅ Company accounts: req.organization and the caller's req.membership (role)
+const attachOrganization = async (req, user) => {
+  req.organization = null;
+  req.membership = null;
+
+  if (!user.organization) return;
+
+  const organization = await Organization.findById(user.organization).select('name verificationStatus members');
+  if (organization) {
+    req.organization = organization;
+    req.membership = organization.getMember(user._id);
+  }
+};
+
 // ========================================
 // AUTHENTICATE TOKEN - Protect Routes
 // ========================================
@@ -91,16 +153,8 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    let token;
-
-    // 1. Extract token from Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
-    // 2. Check for token in cookies (if using cookies)
-    else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    // 1-2. Extract token from Authorization header or cookie
+    const token = extractToken(req);
 
     // 3. No token found
     if (!token) {
@@ -112,17 +166,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // 4. Check if token is blacklisted
-    if (tokenBlacklist.has(token)) {
-      console.warn('⚠️ Blacklisted token attempted to access:', token.substring(0, 20) + '...');
-      return res.status(401).json({
-        success: false,
-        message: 'Token has been revoked. Please login again.',
-        requiresAuth: true
-      });
-    }
-
-    // 5. Verify token
+    // 4. Verify token
     try {
       const jwtSecret = validateJWTSecret();
       const decoded = jwt.verify(token, jwtSecret);
@@ -139,11 +183,32 @@ const authenticateToken = async (req, res, next) => {
         });
       }
 
+      // 5. Session-bound tokens are revoked server-side (logout, password change, reuse)
+      if (!decoded.sid) {
+        if (!legacyTokensAllowed()) {
+          console.warn('⚠️ Legacy token rejected for user ID:', userId);
+          return res.status(401).json({
+            success: false,
+            message: 'Session expired. Please login again.',
+            requiresAuth: true,
+            expired: true
+          });
+        }
+        res.set('X-Auth-Token-Deprecated', 'true');
+      } else if (!(await Session.isActiveSession(decoded.sid))) {
+        console.warn('⚠️ Token for revoked session:', decoded.sid);
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please login again.',
+          requiresAuth: true
+        });
+      }
+
       console.log('✅ Token verified for user ID:', userId);
 
       // 6. Find user and exclude sensitive fields
       const user = await User.findById(userId)
-        .select('-password -__v -resetPasswordToken -resetPasswordExpire');
+        .select('-password -__v -resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire');
       
       if (!user) {
         console.warn('⚠️ User not found for ID:', userId);
@@ -154,6 +219,15 @@ const authenticateToken = async (req, res, next) => {
         });
       }
 
+      if (!decoded.sid && legacyTokenRevoked(decoded, user)) {
+        console.warn('⚠️ Revoked legacy token for user:', user.email);
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please login again.',
+          requiresAuth: true
+        });
+      }
+
       // 7. Check if user account is active
       if (user.isActive === false) {
         console.warn('⚠️ Inactive user attempted access:', user.email);
@@ -180,7 +254,11 @@ const authenticateToken = async (req, res, next) => {
 
       // 10. Attach user to request
       req.user = user;
-      req.token = token; // Store token for logout functionality
+      req.token = token;
+      req.sessionId = decoded.sid; // Used by logout and the sessions list
+      req.legacyToken = !decoded.sid;
+      req.permissions = await Role.resolvePermissions(user.role);
+      await attachOrganization(req, user);
       
       console.log('✅ User authenticated:', user.email, '| Role:', user.role);
       
@@ -251,7 +329,7 @@ const isAdmin = (req, res, next) => {
     }
 
     // Check if user is admin or superadmin
-    if (req.user.role === 'admin' || req.user.role === 'superadmin') {
+    if (hasAdminRole(req.user)) {
       console.log('✅ Admin access granted:', req.user.email, '| Role:', req.user.role);
       next();
     } else {
@@ -339,25 +417,150 @@ const authorize = (...roles) => {
   };
 };
 
+// ========================================
+// REQUIRE PERMISSION - Fine-grained access (config/permissions.js)
+// ========================================
+// ✅ Sync check for use inside handlers, e.g. owner-or-staff access
+const can = (req, permission) => !!req.user && grants(req.permissions, permission);
+
+// All listed permissions are required
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required',
+          requiresAuth: true
+        });
+      }
+
+      const missing = permissions.filter(permission => !can(req, permission));
+
+      if (missing.length > 0) {
+        console.warn(`🚨 Permission denied: ${req.user.email} | Role: ${req.user.role} | Missing: ${missing.join(', ')}`);
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. Missing permission: ${missing.join(', ')}`,
+          userRole: req.user.role,
+          requiredPermissions: permissions
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('❌ Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error in authorization'
+      });
+    }
+  };
+};
+
+// ========================================
+// ORGANIZATIONS - Org-level roles of company members (models/Organization.js)
+// ========================================
+// Verified B2B buyer: own KYC, or the organization's for invited members
+const isVerifiedBuyer = (req) =>
+  !!req.user && (req.user.isVerifiedCompany || (!!req.organization && req.organization.isVerified));
+
+// ✅ Sync check - accounts outside an organization act for themselves only
+const canInOrganization = (req, permission) => {
+  if (!req.user) return false;
+  if (!req.organization) return true;
+  return req.organization.memberCan(req.user._id, permission);
+};
+
+// ✅ Record (quote, order...) belongs to the caller's organization and their role covers `permission`
+const sharesOrganization = (req, organizationId, permission) =>
+  !!organizationId && !!req.organization &&
+  organizationId.toString() === req.organization._id.toString() &&
+  canInOrganization(req, permission);
+
+// All listed org-level permissions are required
+const requireOrganizationPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+        requiresAuth: true
+      });
+    }
+
+    const missing = permissions.filter(permission => !canInOrganization(req, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Your role in ${req.organization.name} does not allow this. Missing: ${missing.join(', ')}`,
+        organizationRole: req.membership ? req.membership.role : null,
+        requiredOrganizationPermissions: permissions
+      });
+    }
+
+    next();
+  };
+};
+
+// ========================================
+// REQUIRE VERIFIED COMPANY - B2B-only features (quote requests)
+// ========================================
+const requireVerifiedCompany = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      requiresAuth: true
+    });
+  }
+
+  if (isVerifiedBuyer(req)) {
+    return next();
+  }
+
+  let verificationStatus = null;
+  if (req.organization) {
+    verificationStatus = req.organization.verificationStatus;
+  } else if (req.user.userType === 'company') {
+    verificationStatus = req.user.companyVerification.status;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: req.user.userType === 'company'
+      ? 'Your company must be verified to use this feature.'
+      : 'This feature is available to verified company accounts only.',
+    requiresCompanyVerification: true,
+    verificationStatus
+  });
+};
+
 // ========================================
 // OPTIONAL USER - Attach user if token exists
 // ========================================
 const optionalUser = async (req, res, next) => {
   try {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.cookies && req.cookies.token) {
-      token = req.cookies.token;
-    }
+    const token = extractToken(req);
 
-    if (token && !tokenBlacklist.has(token)) {
+    if (token) {
       try {
         const jwtSecret = validateJWTSecret();
         const decoded = jwt.verify(token, jwtSecret);
         const userId = decoded.id || decoded.userId;
-        req.user = await User.findById(userId).select('-password');
+        const sessionOk = decoded.sid
+          ? await Session.isActiveSession(decoded.sid)
+          : legacyTokensAllowed();
+        if (sessionOk) {
+          const user = await User.findById(userId).select('-password');
+          if (user && user.isActive !== false && (decoded.sid || !legacyTokenRevoked(decoded, user))) {
+            req.user = user;
+            req.sessionId = decoded.sid;
+            req.permissions = await Role.resolvePermissions(user.role);
+            await attachOrganization(req, user);
+          }
+        }
       } catch (error) {
         // Invalid token but continue anyway
         console.log('⚠️ Invalid token in optionalUser middleware');
@@ -371,20 +574,21 @@ const optionalUser = async (req, res, next) => {
 };
 
 // ========================================
-// LOGOUT - Blacklist Token
+// LOGOUT - Revoke Current Session
 // ========================================
-const logout = (req, res) => {
+const logout = async (req, res) => {
   try {
-    const token = req.token; // Set by authenticateToken middleware
-    
-    if (token) {
-      tokenBlacklist.add(token);
-      console.log('✅ Token blacklisted on logout:', req.user.email);
-      
-      // Clear token blacklist after 7 days (adjust based on token expiry)
-      setTimeout(() => {
-        tokenBlacklist.delete(token);
-      }, 7 * 24 * 60 * 60 * 1000);
+    const sessionId = req.sessionId; // Set by authenticateToken middleware
+
+    if (sessionId) {
+      await Session.updateOne(
+        { _id: sessionId, user: req.user._id, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+      );
+      console.log('✅ Session revoked on logout:', req.user.email);
+    } else if (req.user) {
+      await User.updateOne({ _id: req.user._id }, { $set: { legacyTokensRevokedAt: new Date() } });
+      console.log('✅ Legacy tokens revoked on logout:', req.user.email);
     }
 
     res.json({
@@ -407,15 +611,23 @@ const securityHelpers = {
   isIPBlocked,
   recordFailedLogin,
   resetFailedLogins,
-  tokenBlacklist,
   validateJWTSecret
 };
 
 module.exports = { 
   authenticateToken, 
+  signAccessToken,
+  ACCESS_TOKEN_EXPIRY,
   isAdmin, 
   isSuperAdmin,
   authorize,
+  requirePermission,
+  requireVerifiedCompany,
+  requireOrganizationPermission,
+  can,
+  canInOrganization,
+  sharesOrganization,
+  isVerifiedBuyer,
   optionalUser,
   logout,
   securityHelpers,
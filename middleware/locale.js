@@ -0,0 +1,138 @@
+const { LOCALES, DEFAULT_LOCALE, RTL_LOCALES } = require('../config/locales');
+
+// ========================================
+// LOCALE RESOLUTION
+// ========================================
+// Public read routes store every text as { en, ar, es, ... }. When a client asks
+// for a language (?lang=es, or an Accept-Language header when ?lang is absent),
+// those objects are flattened into plain strings, falling back to the default
+// locale when the requested translation is empty (see config/locales.js).
+//
+// ?lang=all opts out and returns the full objects (the website frontend and
+// admin forms, whose browsers always send Accept-Language). ?lang=auto is the
+// same as sending no ?lang.
+
+const SUPPORTED_LANGUAGES = LOCALES;
+const DEFAULT_LANGUAGE = DEFAULT_LOCALE;
+const RTL_LANGUAGES = RTL_LOCALES;
+
+// ✅ "es-ES,es;q=0.9,en;q=0.8" → first supported primary tag by quality
+const negotiateLanguage = (header) => {
+  if (!header) return DEFAULT_LANGUAGE;
+
+  const candidates = String(header)
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(p => p.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { lang: tag.trim().toLowerCase().split('-')[0], q: isNaN(q) ? 0 : q };
+    })
+    .filter(c => c.lang && c.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const match = candidates.find(c => SUPPORTED_LANGUAGES.includes(c.lang));
+  return match ? match.lang : DEFAULT_LANGUAGE;
+};
+
+// Is this value a { en, ar, ... } translation object?
+const isTranslation = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+
+  const keys = Object.keys(value).filter(key => key !== '_id');
+  return keys.length > 0 &&
+    keys.every(key => SUPPORTED_LANGUAGES.includes(key)) &&
+    keys.every(key => value[key] === null || value[key] === undefined || typeof value[key] === 'string');
+};
+
+const resolveTranslation = (value, lang) => {
+  if (value[lang]) return value[lang];
+  if (value[DEFAULT_LANGUAGE]) return value[DEFAULT_LANGUAGE];
+
+  const firstAvailable = SUPPORTED_LANGUAGES.find(code => value[code]);
+  return firstAvailable ? value[firstAvailable] : '';
+};
+
+// ✅ Recursively flatten translation objects in a plain JSON value
+const localize = (value, lang) => {
+  if (Array.isArray(value)) {
+    return value.map(item => localize(item, lang));
+  }
+
+  if (value && typeof value === 'object') {
+    if (isTranslation(value)) {
+      return resolveTranslation(value, lang);
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = localize(child, lang);
+    }
+    return result;
+  }
+
+  return value;
+};
+
+const getLocaleMeta = (lang) => ({
+  lang,
+  dir: RTL_LANGUAGES.includes(lang) ? 'rtl' : 'ltr',
+  fallback: DEFAULT_LANGUAGE
+});
+
+// ========================================
+// LOCALIZE RESPONSE - for public GET routes
+// ========================================
+const localizeResponse = (req, res, next) => {
+  res.vary('Accept-Language');
+
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : '';
+  const negotiate = !requested || requested === 'auto';
+
+  if (req.method !== 'GET' || requested === 'all' || (negotiate && !req.headers['accept-language'])) {
+    return next();
+  }
+
+  const lang = negotiate
+    ? negotiateLanguage(req.headers['accept-language'])
+    : requested;
+
+  if (!SUPPORTED_LANGUAGES.includes(lang)) {
+    return res.status(400).json({
+      success: false,
+      message: `Unsupported language '${requested}'. Supported: ${SUPPORTED_LANGUAGES.join(', ')}, auto, all`
+    });
+  }
+
+  req.locale = getLocaleMeta(lang);
+  res.setHeader('Content-Language', lang);
+
+  const originalJson = res.json.bind(res);
+
+  res.json = (body) => {
+    // Only successful payloads are localized; errors pass through untouched
+    if (res.statusCode >= 400 || body === null || typeof body !== 'object') {
+      return originalJson(body);
+    }
+
+    const localized = localize(JSON.parse(JSON.stringify(body)), lang);
+
+    if (Array.isArray(localized)) {
+      return originalJson(localized);
+    }
+
+    return originalJson({ ...localized, locale: req.locale });
+  };
+
+  next();
+};
+
+module.exports = {
+  localizeResponse,
+  localize,
+  negotiateLanguage,
+  getLocaleMeta,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  RTL_LANGUAGES
+};
@@ -1,23 +1,8 @@
 const mongoose = require('mongoose');
+const { localizedString } = require('../config/locales');
 
 const categorySchema = new mongoose.Schema({
-  label: {
-    en: { 
-      type: String, 
-      required: [true, 'English label is required'],
-      trim: true 
-    },
-    ar: { 
-      type: String, 
-      required: [true, 'Arabic label is required'],
-      trim: true 
-    },
-    es: { 
-      type: String, 
-      required: [true, 'Spanish label is required'],
-      trim: true 
-    }
-  },
+  label: localizedString('category.label', { label: 'label', trim: true }),
   value: { 
     type: String, 
     required: [true, 'Value is required'],
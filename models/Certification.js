@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// CERTIFICATION SCHEMA
+// ========================================
+// A certificate the company holds (ISO 22000, BRC, Halal, Organic, Kosher...)
+// and that products link to. Products keep a copy of the name, badge and
+// expiry date (Product.certifications) for search facets and public reads;
+// it is refreshed whenever the certificate changes.
+const certificationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Certification name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  issuer: {
+    type: String,
+    required: [true, 'Issuer is required'],
+    trim: true,
+    maxlength: [200, 'Issuer cannot exceed 200 characters']
+  },
+  certificateNumber: {
+    type: String,
+    required: [true, 'Certificate number is required'],
+    trim: true,
+    maxlength: [100, 'Certificate number cannot exceed 100 characters']
+  },
+  scope: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Scope cannot exceed 1000 characters']
+  },
+  validFrom: Date,
+  validUntil: {
+    type: Date,
+    required: [true, 'Expiry date (validUntil) is required']
+  },
+  // Public badge (Cloudinary)
+  image: {
+    url: String,
+    publicId: String
+  },
+  // Certificate PDF - private asset, handed out as signed links
+  document: {
+    fileName: String,
+    publicId: String,
+    format: String,
+    resourceType: {
+      type: String,
+      default: 'image'
+    },
+    size: Number,
+    uploadedAt: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+certificationSchema.index({ issuer: 1, certificateNumber: 1 }, { unique: true });
+certificationSchema.index({ validUntil: 1, isActive: 1 });
+
+certificationSchema.virtual('isExpired').get(function() {
+  return !!this.validUntil && this.validUntil <= new Date();
+});
+
+certificationSchema.virtual('daysUntilExpiry').get(function() {
+  if (!this.validUntil) return null;
+  return Math.ceil((this.validUntil.getTime() - Date.now()) / (24 * 60 * 60 * 1000));
+});
+
+certificationSchema.set('toJSON', { virtuals: true });
+certificationSchema.set('toObject', { virtuals: true });
+
+certificationSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// ========================================
+// PRODUCT BADGES
+// ========================================
+
+// ✅ Badge copied onto products
+certificationSchema.methods.toBadge = function() {
+  return {
+    certification: this._id,
+    name: this.name,
+    image: this.image && this.image.url ? { url: this.image.url, publicId: this.image.publicId } : undefined,
+    validUntil: this.validUntil,
+    isActive: this.isActive
+  };
+};
+
+// ✅ Refresh the copy on every linked product
+certificationSchema.methods.syncProducts = async function() {
+  const Product = mongoose.model('Product');
+  const badge = this.toBadge();
+
+  const result = await Product.updateMany(
+    { 'certifications.certification': this._id },
+    {
+      $set: {
+        'certifications.$[linked].name': badge.name,
+        'certifications.$[linked].image': badge.image,
+        'certifications.$[linked].validUntil': badge.validUntil,
+        'certifications.$[linked].isActive': badge.isActive
+      }
+    },
+    { arrayFilters: [{ 'linked.certification': this._id }] }
+  );
+
+  return result.modifiedCount;
+};
+
+// ========================================
+// STATICS
+// ========================================
+
+// ✅ Product certification entries as given by admins → stored badges.
+// { certification: id } links a catalogue entry (400 if unknown); anything
+// else is kept as a free-form { name, image } badge.
+certificationSchema.statics.toBadges = async function(entries) {
+  if (!Array.isArray(entries)) return entries;
+
+  const ids = entries.filter(entry => entry && entry.certification).map(entry => String(entry.certification));
+  const found = await this.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) } });
+  const byId = new Map(found.map(certification => [certification._id.toString(), certification]));
+
+  return entries.map(entry => {
+    if (!entry || !entry.certification) return { name: entry && entry.name, image: entry && entry.image };
+
+    const certification = byId.get(String(entry.certification));
+    if (!certification) {
+      const error = new Error(`Certification ${entry.certification} not found`);
+      error.status = 400;
+      throw error;
+    }
+    return certification.toBadge();
+  });
+};
+
+// ✅ Active certificates expiring within `days` (and, optionally, already expired)
+certificationSchema.statics.findExpiring = function(days, { includeExpired = false } = {}) {
+  const now = new Date();
+  const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+  return this.find({
+    isActive: true,
+    validUntil: includeExpired ? { $lte: until } : { $gt: now, $lte: until }
+  }).sort({ validUntil: 1 });
+};
+
+const Certification = mongoose.model('Certification', certificationSchema);
+
+module.exports = Certification;
@@ -1,22 +1,13 @@
 const mongoose = require('mongoose');
+const { localizedString } = require('../config/locales');
+
+const text = (fieldKey) => localizedString(`content.${fieldKey}`, { default: '' });
 
 // Hero Slide Schema
 const heroSlideSchema = new mongoose.Schema({
-  title: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  subtitle: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  buttonText: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  title: text('heroSlide.title'),
+  subtitle: text('heroSlide.subtitle'),
+  buttonText: text('heroSlide.buttonText'),
   buttonLink: { type: String, default: '' },
   image: { type: String, default: '' },
   publicId: { type: String, default: '' }, // Cloudinary public_id
@@ -26,32 +17,12 @@ const heroSlideSchema = new mongoose.Schema({
 
 // About Schema
 const aboutSchema = new mongoose.Schema({
-  title: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  story: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  mission: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  vision: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  title: text('about.title'),
+  story: text('about.story'),
+  mission: text('about.mission'),
+  vision: text('about.vision'),
   foundedYear: { type: String, default: '1980' },
-  companyType: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  companyType: text('about.companyType'),
   image: { type: String, default: '' },
   publicId: { type: String, default: '' }
 });
@@ -59,27 +30,15 @@ const aboutSchema = new mongoose.Schema({
 // Stats Schema
 const statSchema = new mongoose.Schema({
   number: { type: String, default: '' },
-  label: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  label: text('stat.label'),
   icon: { type: String, default: '' },
   order: { type: Number, default: 1 }
 });
 
 // Features Schema
 const featureSchema = new mongoose.Schema({
-  title: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  description: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  title: text('feature.title'),
+  description: text('feature.description'),
   icon: { type: String, default: '' },
   order: { type: Number, default: 1 }
 });
@@ -88,16 +47,8 @@ const featureSchema = new mongoose.Schema({
 const contactInfoSchema = new mongoose.Schema({
   phone: { type: String, default: '' },
   email: { type: String, default: '' },
-  address: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  workingHours: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  address: text('contactInfo.address'),
+  workingHours: text('contactInfo.workingHours'),
   social: {
     facebook: { type: String, default: '' },
     twitter: { type: String, default: '' },
@@ -108,16 +59,8 @@ const contactInfoSchema = new mongoose.Schema({
 
 // Company Info Schema
 const companyInfoSchema = new mongoose.Schema({
-  name: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  shortDescription: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  name: text('companyInfo.name'),
+  shortDescription: text('companyInfo.shortDescription'),
   logo: { type: String, default: '' },
   logoPublicId: { type: String, default: '' }
 });
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, currencyCode } = require('../config/pricing');
+
+// Rate changes kept per currency
+const MAX_HISTORY = 50;
+
+// ========================================
+// EXCHANGE RATE SCHEMA
+// ========================================
+// One document per currency: how many units of `currency` one unit of
+// BASE_CURRENCY buys. The base currency itself is always 1 and never stored.
+const exchangeRateSchema = new mongoose.Schema({
+  currency: currencyCode({
+    required: [true, 'Currency is required'],
+    unique: true
+  }),
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    validate: {
+      validator: (rate) => rate > 0,
+      message: 'Rate must be greater than zero'
+    }
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  history: {
+    type: [{
+      rate: Number,
+      source: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// ========================================
+// RATE CACHE
+// ========================================
+// Converted reads look rates up on every request, so they are cached
+// briefly and the cache is cleared on every change (same as Role).
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+const clearCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+exchangeRateSchema.post('save', clearCache);
+exchangeRateSchema.post('findOneAndUpdate', clearCache);
+exchangeRateSchema.post('findOneAndDelete', clearCache);
+exchangeRateSchema.post('deleteOne', { document: true, query: false }, clearCache);
+
+// ========================================
+// STATICS
+// ========================================
+
+// ✅ Map currency → { rate, updatedAt }, including the base currency at 1
+exchangeRateSchema.statics.getRates = async function() {
+  if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    const rates = await this.find().select('currency rate updatedAt').lean();
+    cache = new Map(rates.map(entry => [entry.currency, { rate: entry.rate, updatedAt: entry.updatedAt }]));
+    cacheLoadedAt = Date.now();
+  }
+
+  return new Map([[BASE_CURRENCY, { rate: 1, updatedAt: null }], ...cache]);
+};
+
+// ✅ Create or update a rate and append it to the history
+exchangeRateSchema.statics.setRate = async function(currency, rate, source, userId) {
+  const code = String(currency || '').toUpperCase();
+
+  if (code === BASE_CURRENCY) {
+    const error = new Error(`${BASE_CURRENCY} is the base currency; its rate is always 1`);
+    error.status = 400;
+    throw error;
+  }
+
+  // Validate currency and rate the same way a saved document would be
+  const entry = new this({ currency: code, rate, source, updatedBy: userId });
+  await entry.validate();
+
+  return this.findOneAndUpdate(
+    { currency: code },
+    {
+      $set: { rate: entry.rate, source, updatedBy: userId },
+      $push: {
+        history: {
+          $each: [{ rate: entry.rate, source, changedBy: userId, changedAt: new Date() }],
+          $slice: -MAX_HISTORY
+        }
+      }
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+exchangeRateSchema.statics.clearCache = clearCache;
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
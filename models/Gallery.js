@@ -1,16 +1,9 @@
 const mongoose = require('mongoose');
+const { localizedString } = require('../config/locales');
 
 const gallerySchema = new mongoose.Schema({
-  title: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
-  description: {
-    en: { type: String, default: '' },
-    ar: { type: String, default: '' },
-    es: { type: String, default: '' }
-  },
+  title: localizedString('gallery.title', { default: '' }),
+  description: localizedString('gallery.description', { default: '' }),
   imageUrl: {
     type: String,
     required: true
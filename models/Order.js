@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const { localizedString } = require('../config/locales');
+const { BASE_CURRENCY, currencyCode } = require('../config/pricing');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const ORDER_STATUSES = ['pending', 'confirmed', 'production', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed status moves - anything else is rejected by canTransitionTo()
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['production', 'cancelled'],
+  production: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// ========================================
+// ORDER LINE ITEM
+// ========================================
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Variant ordered (products with variants are sold per SKU)
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  productName: localizedString('order.productName', { default: '' }),
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    // Stock is reserved in whole units
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Unit price cannot be negative']
+  },
+  totalPrice: {
+    type: Number,
+    min: [0, 'Total price cannot be negative']
+  },
+  packaging: {
+    type: String,
+    trim: true
+  },
+  // Warehouses the line's stock is reserved in (services/inventory.js)
+  allocations: [{
+    _id: false,
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse'
+    },
+    quantity: Number
+  }]
+});
+
+// ========================================
+// STATUS HISTORY ENTRY
+// ========================================
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// ========================================
+// ORDER MODEL
+// ========================================
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required'],
+    index: true
+  },
+  // Buyer's organization - colleagues with orders:view can see the order
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  // Set when the order was placed from an accepted quotation
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: (items) => Array.isArray(items) && items.length > 0,
+      message: 'At least one product line is required'
+    }
+  },
+  currency: currencyCode({ default: BASE_CURRENCY }),
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  incoterm: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  shippingAddress: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    country: { type: String, trim: true },
+    zipCode: { type: String, trim: true },
+    port: { type: String, trim: true }
+  },
+  shipment: {
+    carrier: { type: String, trim: true },
+    trackingNumber: { type: String, trim: true },
+    containerNumber: { type: String, trim: true },
+    estimatedDeparture: Date,
+    estimatedArrival: Date,
+    shippedAt: Date,
+    deliveredAt: Date
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ORDER_STATUSES,
+      message: '{VALUE} is not a valid order status'
+    },
+    default: 'pending',
+    index: true
+  },
+  statusHistory: [statusHistorySchema],
+  customerNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  adminNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderSchema.index({ status: 1, createdAt: -1 });
+// One order per quotation - concurrent conversions fail with E11000
+orderSchema.index({ quotation: 1 }, { unique: true, partialFilterExpression: { quotation: { $type: 'objectId' } } });
+
+// ========================================
+// PRE-SAVE MIDDLEWARE
+// ========================================
+
+// ✅ Generate order number (O-YYYYMMDD-XXXX) and seed the status history
+orderSchema.pre('save', function(next) {
+  if (!this.orderNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.orderNumber = `O-${date}-${suffix}`;
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.customer });
+  }
+  next();
+});
+
+// ✅ Keep line totals and subtotal in sync
+orderSchema.pre('save', function(next) {
+  let subtotal = 0;
+  this.items.forEach(item => {
+    item.totalPrice = Math.round(item.unitPrice * item.quantity * 100) / 100;
+    subtotal += item.totalPrice;
+  });
+  this.subtotal = Math.round(subtotal * 100) / 100;
+  next();
+});
+
+// ========================================
+// METHODS
+// ========================================
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// ✅ Change status and append to history (caller saves)
+orderSchema.methods.setStatus = function(status, userId, note) {
+  this.status = status;
+  this.statusHistory.push({ status, note, changedBy: userId, changedAt: new Date() });
+
+  if (status === 'shipped') this.shipment.shippedAt = new Date();
+  if (status === 'delivered') this.shipment.deliveredAt = new Date();
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// ========================================
+// CONSTANTS
+// ========================================
+// ORGANIZATION_INVITE_DAYS  how long an emailed invitation stays valid (default 7)
+const INVITATION_DAYS = parseInt(process.env.ORGANIZATION_INVITE_DAYS, 10) || 7;
+
+// Org-level permissions - what a member may do on behalf of the company.
+// Separate from back-office permissions (config/permissions.js).
+const ORGANIZATION_PERMISSIONS = [
+  'organization:manage', // Edit company name, phone and address
+  'members:manage',      // Invite, remove and change roles of members
+  'quotations:view',     // See every quotation of the organization
+  'quotations:request',  // Request new quotations
+  'quotations:respond',  // Accept or reject quotations
+  'orders:view',         // See every order of the organization
+  'orders:place',        // Place orders (direct or from a quotation)
+  'orders:cancel'        // Cancel pending orders
+];
+
+const ORGANIZATION_ROLES = {
+  owner: ORGANIZATION_PERMISSIONS,
+  admin: ORGANIZATION_PERMISSIONS,
+  purchasing: [
+    'quotations:view', 'quotations:request', 'quotations:respond',
+    'orders:view', 'orders:place', 'orders:cancel'
+  ],
+  finance: ['quotations:view', 'quotations:respond', 'orders:view'],
+  logistics: ['orders:view']
+};
+
+const ROLE_NAMES = Object.keys(ORGANIZATION_ROLES);
+
+// Roles that can be handed out through invitations and role changes
+const ASSIGNABLE_ROLES = ROLE_NAMES.filter(role => role !== 'owner');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// ========================================
+// MEMBER / INVITATION
+// ========================================
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ROLE_NAMES,
+      message: '{VALUE} is not a valid organization role'
+    },
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email address'
+    ]
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ASSIGNABLE_ROLES,
+      message: '{VALUE} is not a valid organization role'
+    },
+    required: true
+  },
+  // SHA-256 of the emailed token
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ========================================
+// ORGANIZATION SCHEMA
+// ========================================
+// Owns the company data. Every company account belongs to exactly one
+// organization; the registering account is its owner and colleagues join
+// through email invitations with their own logins.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Company name is required'],
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  registrationNumber: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  taxId: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    country: { type: String, trim: true },
+    zipCode: { type: String, trim: true }
+  },
+  // Mirror of the owner's KYC status (models/User.js companyVerification)
+  verificationStatus: {
+    type: String,
+    default: 'unverified',
+    index: true
+  },
+  members: [memberSchema],
+  invitations: {
+    type: [invitationSchema],
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.tokenHash': 1 });
+
+// ========================================
+// VIRTUALS
+// ========================================
+
+organizationSchema.virtual('isVerified').get(function() {
+  return this.verificationStatus === 'verified';
+});
+
+// ========================================
+// METHODS
+// ========================================
+
+organizationSchema.methods.getMember = function(userId) {
+  if (!userId) return null;
+  return this.members.find(member => member.user.toString() === userId.toString()) || null;
+};
+
+organizationSchema.methods.getOwner = function() {
+  return this.members.find(member => member.role === 'owner') || null;
+};
+
+// ✅ Does the member hold an org-level permission?
+organizationSchema.methods.memberCan = function(userId, permission) {
+  const member = this.getMember(userId);
+  return !!member && (ORGANIZATION_ROLES[member.role] || []).includes(permission);
+};
+
+// ✅ Add (or replace) a pending invitation - returns the raw token for the email.
+// Requires +invitations.
+organizationSchema.methods.createInvitation = function(email, role, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const normalized = String(email || '').trim().toLowerCase();
+
+  this.invitations = this.invitations.filter(invitation => invitation.email !== normalized);
+  this.invitations.push({
+    email: normalized,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return token;
+};
+
+// ========================================
+// STATICS
+// ========================================
+
+// ✅ Organization and pending invitation for a raw (emailed) token, or null
+organizationSchema.statics.findByInvitationToken = async function(token) {
+  const tokenHash = hashToken(token);
+  const organization = await this.findOne({
+    invitations: { $elemMatch: { tokenHash, expiresAt: { $gt: new Date() } } }
+  }).select('+invitations');
+
+  if (!organization) return null;
+
+  const invitation = organization.invitations.find(entry => entry.tokenHash === tokenHash);
+  return { organization, invitation };
+};
+
+// ✅ Create the organization for a company account and make it the owner
+organizationSchema.statics.createForOwner = async function(user) {
+  const organization = await this.create({
+    name: user.companyName,
+    registrationNumber: user.companyRegistrationNumber,
+    taxId: user.taxId,
+    phone: user.phone,
+    address: user.address,
+    verificationStatus: (user.companyVerification && user.companyVerification.status) || 'unverified',
+    members: [{ user: user._id, role: 'owner' }],
+    createdBy: user._id
+  });
+
+  user.organization = organization._id;
+  await user.save({ validateBeforeSave: false });
+
+  return organization;
+};
+
+// ✅ Give company accounts registered before organizations existed their own
+// organization (run on startup, like Role.syncDefaults)
+organizationSchema.statics.backfillCompanyAccounts = async function() {
+  const User = mongoose.model('User');
+  const accounts = await User.find({ userType: 'company', organization: { $exists: false } });
+  let created = 0;
+
+  for (const account of accounts) {
+    try {
+      await this.createForOwner(account);
+      created += 1;
+    } catch (error) {
+      console.error(`❌ Could not create organization for ${account.email}:`, error.message);
+    }
+  }
+
+  return created;
+};
+
+// ✅ Copy the owner's KYC status after a submission or review
+organizationSchema.statics.syncVerification = function(user) {
+  if (!user.organization) return Promise.resolve(null);
+
+  return this.updateOne(
+    { _id: user.organization },
+    { $set: { verificationStatus: user.companyVerification.status } }
+  );
+};
+
+const Organization = mongoose.model('Organization', organizationSchema);
+
+module.exports = Organization;
+module.exports.ORGANIZATION_ROLES = ORGANIZATION_ROLES;
+module.exports.ORGANIZATION_PERMISSIONS = ORGANIZATION_PERMISSIONS;
+module.exports.ASSIGNABLE_ROLES = ASSIGNABLE_ROLES;
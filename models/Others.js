@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { localizedString } = require('../config/locales');
 
 // ========================================
 // CONTACT/INQUIRY MODEL
@@ -42,6 +43,17 @@ const contactSchema = new mongoose.Schema({
     type: String,
     enum: ['new', 'read', 'replied', 'closed', 'archived'],
     default: 'new'
+  },
+  // ✅ Language the visitor wrote in (used for the confirmation email)
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // ✅ Linked RFQ when the inquiry was turned into a quotation
+  quotation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation'
   }
 }, {
   timestamps: true
@@ -55,36 +67,8 @@ contactSchema.index({ email: 1 });
 // SLIDESHOW/HERO MODEL
 // ========================================
 const slideSchema = new mongoose.Schema({
-  title: {
-    en: {
-      type: String,
-      required: [true, 'English title is required'],
-      trim: true
-    },
-    ar: {
-      type: String,
-      required: [true, 'Arabic title is required'],
-      trim: true
-    },
-    es: {
-      type: String,
-      trim: true
-    }
-  },
-  subtitle: {
-    en: {
-      type: String,
-      trim: true
-    },
-    ar: {
-      type: String,
-      trim: true
-    },
-    es: {
-      type: String,
-      trim: true
-    }
-  },
+  title: localizedString('slide.title', { label: 'title', trim: true }),
+  subtitle: localizedString('slide.subtitle', { trim: true }),
   image: {
     url: {
       type: String,
@@ -94,11 +78,7 @@ const slideSchema = new mongoose.Schema({
       type: String
     }
   },
-  buttonText: {
-    en: String,
-    ar: String,
-    es: String
-  },
+  buttonText: localizedString('slide.buttonText'),
   buttonLink: {
     type: String,
     trim: true
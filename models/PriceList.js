@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, currencyCode, priceTiers } = require('../config/pricing');
+
+// ========================================
+// PRICE LIST ENTRY
+// ========================================
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Set to price a single variant; without it the entry covers the product
+  // and those of its variants that have no price of their own
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Unit price below the first tier
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  tiers: priceTiers(),
+  // Overrides the product's minimum order quantity for this list
+  minOrderQuantity: {
+    type: Number,
+    min: [1, 'Minimum order quantity must be at least 1']
+  }
+}, { _id: false });
+
+// ========================================
+// PRICE LIST SCHEMA
+// ========================================
+// Overrides product base prices for specific organizations and/or countries.
+// Organization lists win over country lists; within the same kind the
+// highest priority wins. See services/pricing.js.
+const priceListSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Price list name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  currency: currencyCode({ default: BASE_CURRENCY }),
+  organizations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  }],
+  // ISO 3166-1 alpha-2 codes
+  countries: [{
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, '{VALUE} is not a valid ISO country code']
+  }],
+  items: {
+    type: [priceListItemSchema],
+    validate: {
+      validator: (items) => new Set(items.map(item => `${item.product}:${item.sku || ''}`)).size === items.length,
+      message: 'A product (or variant SKU) can only appear once per price list'
+    }
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  validFrom: Date,
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+priceListSchema.index({ isActive: 1, organizations: 1 });
+priceListSchema.index({ isActive: 1, countries: 1 });
+
+// ✅ A list must target someone and have a sane validity window
+priceListSchema.pre('validate', function(next) {
+  if (this.organizations.length === 0 && this.countries.length === 0) {
+    this.invalidate('organizations', 'A price list needs at least one organization or country');
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  next();
+});
+
+// ========================================
+// METHODS
+// ========================================
+
+// ✅ Entry for a product, or for one of its variants when `sku` is given
+priceListSchema.methods.getItem = function(productId, sku = null) {
+  return this.items.find(item => item.product.toString() === productId.toString() &&
+    (item.sku || null) === (sku || null)) || null;
+};
+
+// ========================================
+// STATICS
+// ========================================
+
+// ✅ Active lists for an organization and/or country, best first
+priceListSchema.statics.findApplicable = function({ organizationId, country, productIds } = {}) {
+  const audience = [];
+  if (organizationId) audience.push({ organizations: organizationId });
+  if (country) audience.push({ countries: String(country).toUpperCase() });
+  if (audience.length === 0) return Promise.resolve([]);
+
+  const now = new Date();
+  const filter = {
+    isActive: true,
+    $or: audience,
+    $and: [
+      { $or: [{ validFrom: { $exists: false } }, { validFrom: null }, { validFrom: { $lte: now } }] },
+      { $or: [{ validUntil: { $exists: false } }, { validUntil: null }, { validUntil: { $gt: now } }] }
+    ]
+  };
+  if (productIds) filter['items.product'] = { $in: productIds };
+
+  return this.find(filter).sort({ priority: -1, updatedAt: -1 });
+};
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+module.exports = PriceList;
@@ -1,34 +1,159 @@
 const mongoose = require('mongoose');
+const { buildSearchText } = require('../utils/search');
+const { localizedString } = require('../config/locales');
+const { BASE_CURRENCY, currencyCode, priceTiers } = require('../config/pricing');
+const { specificationsDefinition, specificationErrors } = require('../config/specifications');
 
-const productSchema = new mongoose.Schema({
-  name: {
-    en: {
+// ========================================
+// VARIANTS
+// ========================================
+// Sellable versions of a product (jar / tin / drum sizes, grades...), each
+// with its own SKU, price and stock. Attributes are free-form key → value
+// pairs; size, packaging and grade are the ones the storefront filters on.
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{1,39}$/;
+const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-zA-Z0-9_]{0,29}$/;
+const MAX_VARIANTS = 50;
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    match: [SKU_PATTERN, '{VALUE} is not a valid SKU (2-40 letters, digits, ".", "_" or "-")']
+  },
+  label: localizedString('variant.label', { label: 'variant label', trim: true }),
+  attributes: {
+    type: Map,
+    of: {
       type: String,
-      required: [true, 'English name is required'],
-      trim: true
+      trim: true,
+      maxlength: [100, 'Attribute values cannot exceed 100 characters']
     },
-    ar: {
+    default: {},
+    validate: {
+      validator: (attributes) => [...attributes.keys()].every(key => ATTRIBUTE_KEY_PATTERN.test(key)),
+      message: 'Attribute names must start with a letter and use letters, digits or "_" (max 30)'
+    }
+  },
+  images: [{
+    url: {
       type: String,
-      required: [true, 'Arabic name is required'],
-      trim: true
+      required: true
     },
-    es: {
+    publicId: {
       type: String,
-      trim: true
+      required: true
     }
+  }],
+  // In the product's currency; without a price the variant sells at the product's price
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
   },
-  description: {
-    en: {
-      type: String,
-      required: [true, 'English description is required']
+  priceTiers: priceTiers(),
+  minOrderQuantity: {
+    type: Number,
+    min: [1, 'Minimum order quantity must be at least 1']
+  },
+  // Available units across warehouses, kept by services/inventory.js
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  // Overrides the product's threshold
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  }
+});
+
+variantSchema.virtual('mainImage').get(function() {
+  return this.images && this.images.length > 0 ? this.images[0].url : null;
+});
+
+variantSchema.set('toJSON', { virtuals: true, flattenMaps: true });
+variantSchema.set('toObject', { virtuals: true, flattenMaps: true });
+
+// ========================================
+// DOCUMENTS
+// ========================================
+// Spec sheets, MSDS, certificates of analysis... stored as private Cloudinary
+// assets and handed out as signed links (see /api/products/:id/documents).
+// 'verified' documents are for verified companies and catalog staff only.
+const PRODUCT_DOCUMENT_TYPES = ['spec-sheet', 'msds', 'certificate-of-analysis', 'certificate', 'other'];
+const DOCUMENT_VISIBILITIES = ['public', 'verified'];
+const MAX_DOCUMENTS = 30;
+
+const productDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: PRODUCT_DOCUMENT_TYPES,
+      message: '{VALUE} is not a valid document type'
     },
-    ar: {
-      type: String,
-      required: [true, 'Arabic description is required']
+    required: [true, 'Document type is required']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Language of the document itself (ISO 639-1), not limited to the site's locales
+  language: {
+    type: String,
+    required: [true, 'Document language is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z]{2}$/, '{VALUE} is not a valid language code (ISO 639-1, e.g. en)']
+  },
+  visibility: {
+    type: String,
+    enum: {
+      values: DOCUMENT_VISIBILITIES,
+      message: '{VALUE} is not a valid visibility'
     },
-    es: {
-      type: String
-    }
+    default: 'verified'
+  },
+  fileName: String,
+  publicId: {
+    type: String,
+    required: true
+  },
+  format: String,
+  resourceType: {
+    type: String,
+    default: 'image'
+  },
+  size: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const productSchema = new mongoose.Schema({
+  name: localizedString('product.name', { label: 'name', trim: true }),
+  description: localizedString('product.description', { label: 'description' }),
+  // Catalogue code, e.g. for spreadsheet imports - unique across product and variant SKUs
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [SKU_PATTERN, '{VALUE} is not a valid SKU (2-40 letters, digits, ".", "_" or "-")']
   },
   // ✅ Changed: Dynamic category (no enum)
   category: {
@@ -48,32 +173,17 @@ const productSchema = new mongoose.Schema({
       required: true
     }
   }],
-  specifications: {
-    weight: {
-      type: String,
-      trim: true
-    },
-    packaging: {
-      en: String,
-      ar: String,
-      es: String
-    },
-    origin: {
-      en: String,
-      ar: String,
-      es: String
-    },
-    shelfLife: {
-      type: String,
-      trim: true
-    }
-  },
-  features: [{
-    en: String,
-    ar: String,
-    es: String
-  }],
+  // Free-text basics plus structured nutrition / quality / customs data,
+  // in the units of config/specifications.js
+  specifications: specificationsDefinition(),
+  features: [localizedString('product.feature')],
+  // Linked entries (`certification` set) are copies of a Certification kept
+  // in sync by it; entries without one are free-form badges
   certifications: [{
+    certification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Certification'
+    },
     name: {
       type: String,
       trim: true
@@ -81,17 +191,71 @@ const productSchema = new mongoose.Schema({
     image: {
       url: String,
       publicId: String
-    }
+    },
+    validUntil: Date,
+    isActive: Boolean
   }],
+  // Base (list) price per unit - price lists may override it (models/PriceList.js)
   price: {
     type: Number,
     min: [0, 'Price cannot be negative']
   },
+  currency: currencyCode({ default: BASE_CURRENCY }),
+  // Volume breaks on the base price
+  priceTiers: priceTiers(),
+  minOrderQuantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Minimum order quantity must be at least 1']
+  },
+  // ✅ Only shown to verified companies and catalog staff
+  wholesalePrice: {
+    type: Number,
+    min: [0, 'Wholesale price cannot be negative'],
+    select: false
+  },
+  // Available units across warehouses (sum of the variants when there are
+  // any) - kept by services/inventory.js, see /api/inventory
   stock: {
     type: Number,
     default: 0,
     min: [0, 'Stock cannot be negative']
   },
+  // Admins are notified when available stock of the product (or of each
+  // variant) drops to this level
+  lowStockThreshold: {
+    type: Number,
+    min: [0, 'Low-stock threshold cannot be negative']
+  },
+  // SKUs ('' for the product itself) currently below their threshold, so
+  // each drop is notified once
+  lowStockAlerts: {
+    type: [String],
+    select: false
+  },
+  variants: {
+    type: [variantSchema],
+    default: [],
+    validate: [
+      {
+        validator: (variants) => variants.length <= MAX_VARIANTS,
+        message: `A product cannot have more than ${MAX_VARIANTS} variants`
+      },
+      {
+        validator: (variants) => new Set(variants.map(variant => variant.sku)).size === variants.length,
+        message: 'Variant SKUs must be unique'
+      }
+    ]
+  },
+  // Storage ids stay server-side - read through /api/products/:id/documents
+  documents: {
+    type: [productDocumentSchema],
+    select: false,
+    validate: {
+      validator: (documents) => documents.length <= MAX_DOCUMENTS,
+      message: `A product cannot have more than ${MAX_DOCUMENTS} documents`
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -108,6 +272,11 @@ const productSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // ✅ Normalized multilingual text used by /api/products/search
+  searchText: {
+    type: String,
+    select: false
   }
 }, {
   timestamps: true
@@ -117,16 +286,77 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ category: 1, isActive: 1 });
 productSchema.index({ featured: 1, isActive: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'certifications.name': 1 });
+productSchema.index({ 'certifications.certification': 1 });
+// SKUs are unique across the catalog, not just within a product
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
 
 // Virtual for main image (first image)
 productSchema.virtual('mainImage').get(function() {
   return this.images && this.images.length > 0 ? this.images[0].url : null;
 });
 
+// ✅ SKU used by another product, as its own code or a variant's
+productSchema.statics.isSkuTaken = function(sku, exceptProductId = null) {
+  const code = String(sku || '').trim().toUpperCase();
+  return this.exists({ _id: { $ne: exceptProductId }, $or: [{ sku: code }, { 'variants.sku': code }] });
+};
+
+productSchema.methods.getVariant = function(sku) {
+  const code = String(sku || '').trim().toUpperCase();
+  return this.variants.find(variant => variant.sku === code) || null;
+};
+
+// ✅ Variant an order / quotation line refers to. Products with active
+// variants are sold per SKU, so the line must name one (400 otherwise).
+productSchema.methods.variantForLine = function(sku, lineNumber) {
+  const fail = (message) => {
+    const error = new Error(`Line ${lineNumber}: ${message}`);
+    error.status = 400;
+    throw error;
+  };
+
+  // The product's own code names the product itself
+  if (!sku || (this.sku && String(sku).trim().toUpperCase() === this.sku)) {
+    if (this.variants.some(variant => variant.isActive)) fail('choose a variant (sku) of this product');
+    return null;
+  }
+
+  const variant = this.getVariant(sku);
+  if (!variant || !variant.isActive) fail(`variant ${String(sku).toUpperCase()} not found or inactive`);
+  return variant;
+};
+
 // Ensure virtuals are included in JSON
 productSchema.set('toJSON', { virtuals: true });
 productSchema.set('toObject', { virtuals: true });
 
+// ✅ Validation: Specifications must be consistent across fields
+productSchema.pre('validate', function(next) {
+  for (const { path, message } of specificationErrors(this.toObject().specifications)) {
+    this.invalidate(`specifications.${path}`, message);
+  }
+  next();
+});
+
+// ✅ Same check when routes replace specifications via findByIdAndUpdate
+productSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const specifications = update.specifications || (update.$set && update.$set.specifications);
+  const errors = specificationErrors(specifications);
+
+  if (errors.length > 0) {
+    const error = new Error(errors.map(({ message }) => message).join('; '));
+    error.status = 400;
+    return next(error);
+  }
+  next();
+});
+
 // ✅ Validation: Check if category exists in Categories collection
 productSchema.pre('save', async function(next) {
   if (this.isModified('category')) {
@@ -147,4 +377,37 @@ productSchema.pre('save', async function(next) {
   next();
 });
 
-module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
+// ✅ Keep search text in sync on save
+productSchema.pre('save', function(next) {
+  this.searchText = buildSearchText(this);
+  next();
+});
+
+// ✅ A product with variants holds the sum of its variants' stock
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0 || (!this.isNew && this.isModified('variants'))) {
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+  next();
+});
+
+// ✅ Keep search text in sync when routes update via findByIdAndUpdate
+const SEARCHABLE_PATHS = ['sku', 'name', 'description', 'features', 'specifications', 'variants'];
+
+productSchema.post('findOneAndUpdate', async function(doc) {
+  if (!doc) return;
+
+  const update = this.getUpdate() || {};
+  const paths = Object.keys({ ...update, ...(update.$set || {}) });
+  if (!paths.some(p => SEARCHABLE_PATHS.includes(p.split('.')[0]))) return;
+
+  const Product = this.model;
+  const fresh = await Product.findById(doc._id);
+  if (fresh) {
+    await Product.updateOne({ _id: fresh._id }, { $set: { searchText: buildSearchText(fresh) } });
+  }
+});
+
+module.exports = mongoose.model('Product', productSchema);
+module.exports.PRODUCT_DOCUMENT_TYPES = PRODUCT_DOCUMENT_TYPES;
+module.exports.DOCUMENT_VISIBILITIES = DOCUMENT_VISIBILITIES;
\ No newline at end of file
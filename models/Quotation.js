@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const { localizedString } = require('../config/locales');
+const { BASE_CURRENCY, currencyCode } = require('../config/pricing');
+
+// ========================================
+// CONSTANTS
+// ========================================
+const INCOTERMS = ['EXW', 'FCA', 'FAS', 'FOB', 'CFR', 'CIF', 'CPT', 'CIP', 'DAP', 'DPU', 'DDP'];
+
+const QUOTATION_STATUSES = ['draft', 'sent', 'accepted', 'rejected', 'expired'];
+
+// Allowed status moves - anything else is rejected by canTransitionTo()
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'expired'],
+  sent: ['accepted', 'rejected', 'expired', 'draft'],
+  accepted: [],
+  rejected: [],
+  expired: ['draft']
+};
+
+// ========================================
+// QUOTATION LINE ITEM
+// ========================================
+const quotationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // Snapshot of the product name at request time
+  // Variant ordered (products with variants are sold per SKU)
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  productName: localizedString('quotation.productName', { default: '' }),
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: 'carton'
+  },
+  packaging: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Packaging cannot exceed 200 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Line notes cannot exceed 500 characters']
+  },
+  // Filled in by admins when pricing the quote
+  unitPrice: {
+    type: Number,
+    min: [0, 'Unit price cannot be negative']
+  },
+  totalPrice: {
+    type: Number,
+    min: [0, 'Total price cannot be negative']
+  }
+});
+
+// ========================================
+// QUOTATION MODEL
+// ========================================
+const quotationSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    unique: true,
+    index: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requesting user is required'],
+    index: true
+  },
+  // Requester's organization - colleagues with quotations:view can see the quote
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  // Inquiry this quote was raised from (or created alongside)
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  },
+  customer: {
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    company: { type: String, trim: true }
+  },
+  items: {
+    type: [quotationItemSchema],
+    validate: {
+      validator: (items) => Array.isArray(items) && items.length > 0,
+      message: 'At least one product line is required'
+    }
+  },
+  incoterm: {
+    type: String,
+    enum: {
+      values: INCOTERMS,
+      message: '{VALUE} is not a supported Incoterm'
+    },
+    default: 'FOB'
+  },
+  destination: {
+    country: { type: String, trim: true },
+    port: { type: String, trim: true }
+  },
+  currency: currencyCode({ default: BASE_CURRENCY }),
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: {
+      values: QUOTATION_STATUSES,
+      message: '{VALUE} is not a valid quotation status'
+    },
+    default: 'draft',
+    index: true
+  },
+  validUntil: Date,
+  sentAt: Date,
+  respondedAt: Date,
+  customerNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  adminNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  pricedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+quotationSchema.index({ status: 1, createdAt: -1 });
+quotationSchema.index({ status: 1, validUntil: 1 });
+
+// ========================================
+// PRE-SAVE MIDDLEWARE
+// ========================================
+
+// ✅ Generate sequential-looking quote number (Q-YYYYMMDD-XXXX)
+quotationSchema.pre('save', function(next) {
+  if (!this.quoteNumber) {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+    this.quoteNumber = `Q-${date}-${suffix}`;
+  }
+  next();
+});
+
+// ✅ Keep line totals and subtotal in sync with prices
+quotationSchema.pre('save', function(next) {
+  let subtotal = 0;
+  this.items.forEach(item => {
+    if (item.unitPrice !== undefined && item.unitPrice !== null) {
+      item.totalPrice = Math.round(item.unitPrice * item.quantity * 100) / 100;
+      subtotal += item.totalPrice;
+    }
+  });
+  this.subtotal = Math.round(subtotal * 100) / 100;
+  next();
+});
+
+// ========================================
+// METHODS
+// ========================================
+
+quotationSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+quotationSchema.methods.isFullyPriced = function() {
+  return this.items.length > 0 &&
+    this.items.every(item => item.unitPrice !== undefined && item.unitPrice !== null);
+};
+
+quotationSchema.methods.isOverdue = function() {
+  return this.status === 'sent' && !!this.validUntil && this.validUntil < Date.now();
+};
+
+// ✅ First save of a new quotation: the random quote number suffix can collide,
+// so draw a new one and retry instead of failing with E11000
+quotationSchema.methods.saveWithQuoteNumber = async function(attempts = 5) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      const numberTaken = error.code === 11000 && error.keyPattern && error.keyPattern.quoteNumber;
+      if (!numberTaken || attempt >= attempts) throw error;
+      this.quoteNumber = undefined;
+    }
+  }
+};
+
+// ========================================
+// STATIC METHODS
+// ========================================
+
+// ✅ Flip every sent quote past its validity date to 'expired'
+quotationSchema.statics.expireOverdue = function() {
+  return this.updateMany(
+    { status: 'sent', validUntil: { $lt: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+const Quotation = mongoose.model('Quotation', quotationSchema);
+
+module.exports = Quotation;
+module.exports.INCOTERMS = INCOTERMS;
+module.exports.QUOTATION_STATUSES = QUOTATION_STATUSES;
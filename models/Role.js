@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const {
+  DEFAULT_ROLES,
+  SUPERADMIN_ROLE,
+  PERMISSION_KEYS,
+  isValidPermission
+} = require('../config/permissions');
+
+// ========================================
+// ROLE SCHEMA
+// ========================================
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role name may only contain lowercase letters, digits and dashes']
+  },
+  label: {
+    type: String,
+    required: [true, 'Role label is required'],
+    trim: true,
+    maxlength: [60, 'Role label cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: props => `Unknown permission(s): ${props.value.filter(p => !isValidPermission(p)).join(', ')}`
+    }
+  },
+  // Built-in roles can be edited but not deleted or renamed
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Permission catalogue at the last syncDefaults() - lets new permissions
+  // reach built-in roles without re-granting ones a superadmin removed
+  knownPermissions: {
+    type: [String],
+    select: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// ========================================
+// PERMISSION CACHE
+// ========================================
+// Permissions are resolved on every authenticated request, so role
+// documents are cached briefly and the cache is cleared on every change.
+const CACHE_TTL_MS = 60 * 1000;
+let cache = null;
+let cacheLoadedAt = 0;
+
+const clearCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+roleSchema.post('save', clearCache);
+roleSchema.post('findOneAndUpdate', clearCache);
+roleSchema.post('findOneAndDelete', clearCache);
+roleSchema.post('deleteOne', { document: true, query: false }, clearCache);
+
+// ========================================
+// STATICS
+// ========================================
+
+// ✅ Permission list for a role name (superadmin always gets '*')
+roleSchema.statics.resolvePermissions = async function(roleName) {
+  if (roleName === SUPERADMIN_ROLE) return ['*'];
+
+  if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    const roles = await this.find().select('name permissions').lean();
+    cache = new Map(roles.map(role => [role.name, role.permissions]));
+    cacheLoadedAt = Date.now();
+  }
+
+  if (cache.has(roleName)) return cache.get(roleName);
+
+  // Not seeded yet - fall back to the built-in definition
+  const builtIn = DEFAULT_ROLES.find(role => role.name === roleName);
+  return builtIn ? builtIn.permissions : [];
+};
+
+// ✅ Insert missing built-in roles and grant them permissions added since the
+// last sync (never overwrites edits made through the API)
+roleSchema.statics.syncDefaults = async function() {
+  const existing = await this.find({ name: { $in: DEFAULT_ROLES.map(role => role.name) } })
+    .select('name permissions knownPermissions');
+  const existingByName = new Map(existing.map(role => [role.name, role]));
+  const missing = DEFAULT_ROLES.filter(role => !existingByName.has(role.name));
+
+  if (missing.length > 0) {
+    await this.insertMany(missing.map(role => ({
+      ...role,
+      isSystem: true,
+      knownPermissions: PERMISSION_KEYS
+    })));
+  }
+
+  for (const role of existing) {
+    const known = new Set(role.knownPermissions || []);
+    const introduced = PERMISSION_KEYS.filter(permission => !known.has(permission));
+    if (introduced.length === 0) continue;
+
+    const defaults = DEFAULT_ROLES.find(definition => definition.name === role.name).permissions;
+    const granted = introduced.filter(permission => defaults.includes(permission) && !role.permissions.includes(permission));
+
+    role.permissions = [...role.permissions, ...granted];
+    role.knownPermissions = PERMISSION_KEYS;
+    await role.save();
+
+    if (granted.length > 0) {
+      console.log(`🛡️ Role ${role.name} granted new permission(s):`, granted.join(', '));
+    }
+  }
+
+  clearCache();
+  return missing.map(role => role.name);
+};
+
+roleSchema.statics.clearCache = clearCache;
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// ========================================
+// CONSTANTS
+// ========================================
+// REFRESH_TOKEN_DAYS  lifetime of a session without activity (default 30)
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+// Rotated-out refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+// ✅ Short, human-readable device label from the User-Agent header
+const describeDevice = (userAgent = '') => {
+  const browser = (userAgent.match(/(Edg|OPR|Chrome|Firefox|Safari)\/[\d.]+/) || [])[1];
+  const os = (userAgent.match(/(Windows|Android|iPhone|iPad|Mac OS X|Linux)/) || [])[1];
+  const browserName = { Edg: 'Edge', OPR: 'Opera' }[browser] || browser;
+
+  if (!browserName && !os) return userAgent ? 'Unknown device' : 'API client';
+  return [browserName, os && `on ${os === 'Mac OS X' ? 'macOS' : os}`].filter(Boolean).join(' ');
+};
+
+// ========================================
+// SESSION SCHEMA
+// ========================================
+// One document per login. The refresh token handed to the client is
+// "<sessionId>.<secret>"; only the SHA-256 of the secret is stored and it
+// changes on every refresh (rotation).
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: String,
+  device: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'revoked', 'reuse-detected', 'password-changed']
+  }
+}, {
+  timestamps: true
+});
+
+// ✅ MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// ========================================
+// METHODS
+// ========================================
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Fields refreshed along with the token: expiry, last use and the device
+const renewedFields = (req) => {
+  const fields = {
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  };
+
+  if (req) {
+    fields.ip = req.ip;
+    fields.userAgent = req.get('user-agent') || '';
+    fields.device = describeDevice(fields.userAgent);
+  }
+
+  return fields;
+};
+
+// Issue a new refresh token for this session (requires +previousTokenHashes)
+sessionSchema.methods.rotate = function(req) {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  if (this.refreshTokenHash) {
+    this.previousTokenHashes = [this.refreshTokenHash, ...(this.previousTokenHashes || [])]
+      .slice(0, MAX_PREVIOUS_TOKENS);
+  }
+
+  this.set({ refreshTokenHash: hashSecret(secret), ...renewedFields(req) });
+
+  return `${this._id}.${secret}`;
+};
+
+/**
+ * Rotate a stored session in one conditional update (requires
+ * +refreshTokenHash). Of two concurrent refreshes with the same token only
+ * one matches; the other gets null and should be treated as token reuse.
+ */
+sessionSchema.methods.rotateIfCurrent = async function(req) {
+  const secret = crypto.randomBytes(40).toString('hex');
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: { $exists: false } },
+    {
+      $set: { refreshTokenHash: hashSecret(secret), ...renewedFields(req) },
+      $push: {
+        previousTokenHashes: { $each: [this.refreshTokenHash], $position: 0, $slice: MAX_PREVIOUS_TOKENS }
+      }
+    },
+    { projection: { _id: 1 } }
+  );
+
+  return rotated ? `${this._id}.${secret}` : null;
+};
+
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// ========================================
+// STATICS
+// ========================================
+
+// ✅ Start a session for a user; returns { session, refreshToken }
+sessionSchema.statics.start = async function(user, req) {
+  const session = new this({ user: user._id });
+  const refreshToken = session.rotate(req);
+  await session.save();
+  return { session, refreshToken };
+};
+
+/**
+ * Look up the session behind a refresh token.
+ * Returns { session, status } where status is 'valid', 'reused', 'revoked',
+ * 'expired' or 'invalid'. A rotated-out token being presented again means
+ * it was copied - the caller should revoke the session.
+ */
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { session: null, status: 'invalid' };
+  }
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash +previousTokenHashes');
+  if (!session) {
+    return { session: null, status: 'invalid' };
+  }
+
+  const hashed = hashSecret(secret);
+
+  if (hashed !== session.refreshTokenHash) {
+    const reused = (session.previousTokenHashes || []).includes(hashed);
+    return { session, status: reused ? 'reused' : 'invalid' };
+  }
+
+  if (session.revokedAt) return { session, status: 'revoked' };
+  if (session.expiresAt <= new Date()) return { session, status: 'expired' };
+
+  return { session, status: 'valid' };
+};
+
+// Used by the auth middleware on every request carrying a session-bound token
+sessionSchema.statics.isActiveSession = async function(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const session = await this.findOne({
+    _id: sessionId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).select('_id');
+
+  return !!session;
+};
+
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'logout-all', exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
+module.exports.REFRESH_TOKEN_DAYS = REFRESH_TOKEN_DAYS;
+module.exports.describeDevice = describeDevice;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// STOCK LEVEL SCHEMA
+// ========================================
+// Quantity of one stock-keeping unit (a product, or one of its variants when
+// `sku` is set) in one warehouse. Only services/inventory.js changes these,
+// always together with a StockMovement.
+//   onHand     units physically in the warehouse
+//   reserved   units promised to open orders, not yet shipped
+//   available  onHand - reserved (what can still be sold)
+const stockLevelSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse is required'],
+    index: true
+  },
+  onHand: {
+    type: Number,
+    default: 0,
+    min: [0, 'On-hand quantity cannot be negative']
+  },
+  reserved: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+stockLevelSchema.index({ product: 1, sku: 1, warehouse: 1 }, { unique: true });
+
+stockLevelSchema.virtual('available').get(function() {
+  return this.onHand - this.reserved;
+});
+
+stockLevelSchema.set('toJSON', { virtuals: true });
+stockLevelSchema.set('toObject', { virtuals: true });
+
+const StockLevel = mongoose.model('StockLevel', stockLevelSchema);
+
+module.exports = StockLevel;
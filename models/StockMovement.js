@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// CONSTANTS
+// ========================================
+// How each movement type changes a stock level:
+//   receipt      onHand +
+//   reservation  reserved +          (order placed)
+//   release      reserved -          (order cancelled)
+//   shipment     onHand -, reserved - (order shipped)
+//   adjustment   onHand +/-          (count corrections, damage, samples...)
+//   transfer     onHand - in one warehouse, + in another (two movements)
+const MOVEMENT_TYPES = ['receipt', 'reservation', 'release', 'shipment', 'adjustment', 'transfer'];
+
+// ========================================
+// STOCK MOVEMENT SCHEMA
+// ========================================
+// Append-only ledger: every change to a StockLevel writes one movement with
+// the quantities after the change, so discrepancies can be traced back.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  sku: {
+    type: String,
+    default: null
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: MOVEMENT_TYPES,
+      message: '{VALUE} is not a valid movement type'
+    },
+    required: [true, 'Movement type is required']
+  },
+  onHandChange: {
+    type: Number,
+    default: 0
+  },
+  reservedChange: {
+    type: Number,
+    default: 0
+  },
+  onHandAfter: {
+    type: Number,
+    required: true
+  },
+  reservedAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // Supplier delivery note, count sheet...
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Shared by both legs of a transfer
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Missing for system movements (startup backfill)
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+stockMovementSchema.index({ product: 1, sku: 1, createdAt: -1 });
+stockMovementSchema.index({ warehouse: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+stockMovementSchema.index({ type: 1, createdAt: -1 });
+
+// ✅ The ledger is never rewritten
+const rejectChange = function(next) {
+  const error = new Error('Stock movements cannot be changed or deleted');
+  error.status = 400;
+  next(error);
+};
+
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectChange);
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
@@ -1,6 +1,50 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { LOCALES, DEFAULT_LOCALE } = require('../config/locales');
+const { formatLocation } = require('../utils/geo');
+
+// ========================================
+// COMPANY VERIFICATION (KYC)
+// ========================================
+const VERIFICATION_STATUSES = ['unverified', 'pending', 'verified', 'rejected'];
+const VERIFICATION_DOCUMENT_TYPES = [
+  'registration-certificate', 'tax-certificate', 'trade-license', 'id-document', 'other'
+];
+
+// Allowed status moves - anything else is rejected by canTransitionVerification()
+const VERIFICATION_TRANSITIONS = {
+  unverified: ['pending'],
+  pending: ['verified', 'rejected'],
+  verified: ['rejected'],
+  rejected: ['pending']
+};
+
+const verificationDocumentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: VERIFICATION_DOCUMENT_TYPES,
+      message: '{VALUE} is not a valid document type'
+    },
+    required: [true, 'Document type is required']
+  },
+  fileName: String,
+  publicId: {
+    type: String,
+    required: true
+  },
+  format: String,
+  resourceType: {
+    type: String,
+    default: 'image'
+  },
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const userSchema = new mongoose.Schema({
   // ========================================
@@ -35,12 +79,12 @@ const userSchema = new mongoose.Schema({
     required: [true, 'User type is required']
   },
   
+  // Name of a Role document (models/Role.js) - permissions come from there
   role: {
     type: String,
-    enum: {
-      values: ['user', 'admin', 'superadmin'],
-      message: '{VALUE} is not a valid role'
-    },
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, '{VALUE} is not a valid role'],
     default: 'user',
     index: true
   },
@@ -91,7 +135,8 @@ const userSchema = new mongoose.Schema({
   companyRegistrationNumber: {
     type: String,
     required: function() { 
-      return this.userType === 'company'; 
+      // Invited members share their organization's registration data
+      return this.userType === 'company' && !this.organization; 
     },
     trim: true,
     unique: true,
@@ -101,7 +146,7 @@ const userSchema = new mongoose.Schema({
   taxId: {
     type: String,
     required: function() { 
-      return this.userType === 'company'; 
+      return this.userType === 'company' && !this.organization; 
     },
     trim: true,
     unique: true,
@@ -117,6 +162,47 @@ const userSchema = new mongoose.Schema({
     maxlength: [100, 'Contact person name cannot exceed 100 characters']
   },
   
+  // ✅ Company accounts belong to one organization (models/Organization.js)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    index: true
+  },
+  
+  // ✅ KYC state - 'verified' unlocks wholesale prices and quote requests
+  companyVerification: {
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: 'unverified',
+      index: true
+    },
+    documents: [verificationDocumentSchema],
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Rejection reason cannot exceed 1000 characters']
+    },
+    history: [{
+      status: String,
+      reason: String,
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  
   // ========================================
   // ADDRESS FIELDS
   // ========================================
@@ -148,6 +234,16 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // ✅ Language used for emails and notifications
+  preferredLanguage: {
+    type: String,
+    enum: {
+      values: LOCALES,
+      message: '{VALUE} is not a supported language'
+    },
+    default: DEFAULT_LOCALE
+  },
+  
   // ========================================
   // SECURITY FIELDS
   // ========================================
@@ -167,6 +263,21 @@ const userSchema = new mongoose.Schema({
   
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  passwordChangedAt: Date,
+  // Logout with a pre-session token (no sid) - sessionless tokens issued
+  // before this date stop working
+  legacyTokensRevokedAt: Date,
+  
+  // ✅ Self-service deletion request - an admin deletes the account after scheduledFor
+  deletionRequest: {
+    requestedAt: Date,
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    scheduledFor: Date
+  },
   
   // ✅ Track failed login attempts
   loginAttempts: {
@@ -187,6 +298,18 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   
+  // ✅ SHA-256 hashes of unused recovery codes
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  
+  // ✅ Last accepted TOTP time step (blocks code replay)
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  
   // ========================================
   // TRACKING FIELDS
   // ========================================
@@ -197,7 +320,12 @@ const userSchema = new mongoose.Schema({
     timestamp: Date,
     ip: String,
     userAgent: String,
-    location: String
+    location: String,
+    country: String,
+    method: {
+      type: String,
+      enum: ['password', '2fa', 'backup-code']
+    }
   }],
   
   // ========================================
@@ -236,6 +364,12 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Verified B2B buyer
+userSchema.virtual('isVerifiedCompany').get(function() {
+  return this.userType === 'company' &&
+    !!this.companyVerification && this.companyVerification.status === 'verified';
+});
+
 // ========================================
 // INDEXES FOR PERFORMANCE
 // ========================================
@@ -357,8 +491,8 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
-// ✅ Record login
-userSchema.methods.recordLogin = function(ip, userAgent, location) {
+// ✅ Record login (location: "City, CC" string or a getLocationFromIP() result)
+userSchema.methods.recordLogin = function(ip, userAgent, location, method = 'password') {
   this.lastLogin = Date.now();
   this.lastActive = Date.now();
   
@@ -367,11 +501,15 @@ userSchema.methods.recordLogin = function(ip, userAgent, location) {
     this.loginHistory = [];
   }
   
+  const geo = location && typeof location === 'object' ? location : null;
+  
   this.loginHistory.unshift({
     timestamp: new Date(),
     ip,
     userAgent,
-    location
+    location: geo ? formatLocation(geo) : location,
+    country: geo ? geo.countryCode : undefined,
+    method
   });
   
   if (this.loginHistory.length > 10) {
@@ -381,29 +519,103 @@ userSchema.methods.recordLogin = function(ip, userAgent, location) {
   return this.save({ validateBeforeSave: false });
 };
 
+// ✅ Consume a recovery code (requires +twoFactorBackupCodes). Returns true if it was valid.
+userSchema.methods.useBackupCode = function(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  if (!normalized || !this.twoFactorBackupCodes) {
+    return false;
+  }
+  
+  const hashed = this.constructor.hashToken(normalized);
+  const index = this.twoFactorBackupCodes.indexOf(hashed);
+  
+  if (index === -1) {
+    return false;
+  }
+  
+  this.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+userSchema.methods.canTransitionVerification = function(status) {
+  const current = (this.companyVerification && this.companyVerification.status) || 'unverified';
+  return (VERIFICATION_TRANSITIONS[current] || []).includes(status);
+};
+
+// ✅ Move the company verification to a new status and keep the audit trail
+userSchema.methods.setVerificationStatus = function(status, changedBy, reason) {
+  const verification = this.companyVerification;
+
+  verification.status = status;
+  verification.history.push({ status, reason, changedBy, changedAt: new Date() });
+
+  if (status === 'pending') {
+    verification.submittedAt = new Date();
+    verification.rejectionReason = undefined;
+  } else {
+    verification.reviewedAt = new Date();
+    verification.reviewedBy = changedBy;
+    verification.rejectionReason = status === 'rejected' ? reason : undefined;
+  }
+
+  return this;
+};
+
 // ========================================
 // STATIC METHODS
 // ========================================
 
+// ✅ Hash a raw emailed token the same way the token methods store it
+userSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(String(token))
+    .digest('hex');
+};
+
+// ✅ Find user by a raw (emailed) password reset token that hasn't expired
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: this.hashToken(token),
+    resetPasswordExpire: { $gt: Date.now() }
+  });
+};
+
+// ✅ Find user by a raw (emailed) email verification token that hasn't expired
+userSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: this.hashToken(token),
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+};
+
 // ✅ Find user by email (including password for authentication)
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
   
   if (!user) {
-    throw new Error('Invalid email or password');
+    const error = new Error('Invalid email or password');
+    error.status = 401;
+    throw error;
   }
   
   // Check if account is locked
   if (user.isLocked) {
     const lockTime = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
-    throw new Error(`Account is locked. Try again in ${lockTime} minutes.`);
+    const error = new Error(`Account is locked. Try again in ${lockTime} minutes.`);
+    error.status = 423;
+    error.lockUntil = user.lockUntil;
+    throw error;
   }
   
-  const isPasswordMatch = await user.comparePassword(password);
+  const isPasswordMatch = await user.comparePassword(password || '');
   
   if (!isPasswordMatch) {
     await user.incLoginAttempts();
-    throw new Error('Invalid email or password');
+    const error = new Error('Invalid email or password');
+    error.status = 401;
+    error.userId = user._id;
+    throw error;
   }
   
   // Reset login attempts on successful login
@@ -417,4 +629,6 @@ userSchema.statics.findByCredentials = async function(email, password) {
 // ========================================
 // EXPORT MODEL
 // ========================================
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema);
+module.exports.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+module.exports.VERIFICATION_DOCUMENT_TYPES = VERIFICATION_DOCUMENT_TYPES;
\ No newline at end of file
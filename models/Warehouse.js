@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Code of the warehouse created on first start - opening stock lands here
+const DEFAULT_WAREHOUSE_CODE = (process.env.DEFAULT_WAREHOUSE_CODE || 'MAIN').toUpperCase();
+
+// ========================================
+// WAREHOUSE SCHEMA
+// ========================================
+const warehouseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9][A-Z0-9_-]{1,19}$/, '{VALUE} is not a valid warehouse code (2-20 letters, digits, "_" or "-")']
+  },
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  address: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    country: { type: String, trim: true },
+    zipCode: { type: String, trim: true }
+  },
+  // Reservations draw from the default warehouse first
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// ✅ Only one default warehouse
+warehouseSchema.pre('save', async function(next) {
+  if (this.isModified('isDefault') && this.isDefault) {
+    await this.constructor.updateMany({ _id: { $ne: this._id }, isDefault: true }, { $set: { isDefault: false } });
+  }
+  next();
+});
+
+// ========================================
+// STATICS
+// ========================================
+
+// ✅ Default warehouse, created on first use
+warehouseSchema.statics.getDefault = async function() {
+  const existing = await this.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  return this.findOneAndUpdate(
+    { code: DEFAULT_WAREHOUSE_CODE },
+    { $set: { isDefault: true, isActive: true }, $setOnInsert: { name: 'Main warehouse' } },
+    { new: true, upsert: true }
+  );
+};
+
+const Warehouse = mongoose.model('Warehouse', warehouseSchema);
+
+module.exports = Warehouse;
@@ -2,14 +2,93 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const {
+  notifyRegistration,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  notifyPasswordChanged,
+  notifyDeletionRequested
+} = require('../services/mail');
+const totp = require('../utils/totp');
+const { getLocationFromIP } = require('../utils/geo');
+const {
+  authenticateToken,
+  signAccessToken,
+  logout,
+  securityHelpers
+} = require('../middleware/auth');
 
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// ✅ 2FA challenge tokens use a derived secret so they can never pass as a session token
+const twoFactorChallengeSecret = () => `${securityHelpers.validateJWTSecret()}:2fa-challenge`;
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
+
+// ✅ Fields users may change on their own profile. Everything else (role,
+// isActive, email, company registration data...) stays admin-only.
+const PROFILE_FIELDS = {
+  individual: ['firstName', 'lastName', 'phone', 'preferredLanguage'],
+  company: ['contactPerson', 'phone', 'preferredLanguage']
+};
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'zipCode'];
+const PRIVATE_USER_FIELDS = '-resetPasswordToken -resetPasswordExpire -emailVerificationToken -emailVerificationExpire';
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+const tokenExpiresIn = (token) => {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+};
+
+// Start a session, record the login and send the access/refresh token pair
+const sendLoginResponse = async (req, res, user, extra = {}, method = 'password') => {
+  const { session, refreshToken } = await Session.start(user, req);
+  const token = signAccessToken(user, session._id);
+
+  await user.recordLogin(req.ip, req.get('user-agent'), getLocationFromIP(req.ip), method);
+
+  const permissions = await Role.resolvePermissions(user.role);
+
+  const userData = {
+    id: user._id,
+    email: user.email,
+    userType: user.userType,
+    role: user.role,
+    permissions,
+    twoFactorEnabled: user.twoFactorEnabled
+  };
+
+  if (user.userType === 'individual') {
+    userData.firstName = user.firstName;
+    userData.lastName = user.lastName;
+  } else {
+    userData.companyName = user.companyName;
+    userData.contactPerson = user.contactPerson;
+    userData.organization = user.organization;
+  }
+
+  // Staff (any back-office permission) without 2FA are nudged to enroll when the policy is on
+  if (process.env.REQUIRE_ADMIN_2FA === 'true' &&
+      permissions.length > 0 && !user.twoFactorEnabled) {
+    extra.twoFactorSetupRequired = true;
+  }
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn: tokenExpiresIn(token),
+    sessionId: session._id,
+    user: userData,
+    ...extra
+  });
+};
 
 // Register Individual
 router.post('/register/individual', async (req, res) => {
   try {
-    const { email, password, firstName, lastName, phone, address } = req.body;
+    const { email, password, firstName, lastName, phone, address, preferredLanguage } = req.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -25,21 +104,26 @@ router.post('/register/individual', async (req, res) => {
       firstName,
       lastName,
       phone,
-      address
+      address,
+      preferredLanguage
     });
 
+    const verificationToken = user.getEmailVerificationToken();
     await user.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role, userType: user.userType },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // ✅ Welcome + email verification link (not awaited)
+    notifyRegistration(user, verificationToken);
+
+    // Start a session
+    const { session, refreshToken } = await Session.start(user, req);
+    const token = signAccessToken(user, session._id);
 
     res.status(201).json({
       message: 'Registration successful',
       token,
+      refreshToken,
+      expiresIn: tokenExpiresIn(token),
+      sessionId: session._id,
       user: {
         id: user._id,
         email: user.email,
@@ -59,7 +143,7 @@ router.post('/register/company', async (req, res) => {
   try {
     const { 
       email, password, companyName, companyRegistrationNumber, 
-      taxId, contactPerson, phone, address 
+      taxId, contactPerson, phone, address, preferredLanguage
     } = req.body;
 
     // Check if user exists
@@ -78,28 +162,37 @@ router.post('/register/company', async (req, res) => {
       taxId,
       contactPerson,
       phone,
-      address
+      address,
+      preferredLanguage
     });
 
+    const verificationToken = user.getEmailVerificationToken();
     await user.save();
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role, userType: user.userType },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // ✅ The registering account owns the company's organization
+    const organization = await Organization.createForOwner(user);
+
+    // ✅ Welcome + email verification link (not awaited)
+    notifyRegistration(user, verificationToken);
+
+    // Start a session
+    const { session, refreshToken } = await Session.start(user, req);
+    const token = signAccessToken(user, session._id);
 
     res.status(201).json({
       message: 'Registration successful',
       token,
+      refreshToken,
+      expiresIn: tokenExpiresIn(token),
+      sessionId: session._id,
       user: {
         id: user._id,
         email: user.email,
         companyName: user.companyName,
         contactPerson: user.contactPerson,
         userType: user.userType,
-        role: user.role
+        role: user.role,
+        organization: organization._id
       }
     });
   } catch (error) {
@@ -112,15 +205,33 @@ router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    // Per-IP block after repeated failures on any account
+    if (securityHelpers.isIPBlocked(req.ip)) {
+      return res.status(429).json({
+        message: 'Too many failed login attempts. Please try again later.'
+      });
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    // Find user + check password (counts failures and locks the account after 5)
+    let user;
+    try {
+      user = await User.findByCredentials(String(email).toLowerCase().trim(), password);
+    } catch (credentialsError) {
+      if (!credentialsError.status) throw credentialsError;
+
+      securityHelpers.recordFailedLogin(req.ip);
+
+      if (credentialsError.status === 423) {
+        return res.status(423).json({
+          message: credentialsError.message,
+          locked: true,
+          lockUntil: credentialsError.lockUntil
+        });
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
@@ -129,77 +240,723 @@ router.post('/login', async (req, res) => {
       return res.status(403).json({ message: 'Account is deactivated' });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user._id, role: user.role, userType: user.userType },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Check email verification (same switch as middleware/auth.js)
+    if (!user.emailVerified && process.env.REQUIRE_EMAIL_VERIFICATION === 'true') {
+      return res.status(403).json({
+        message: 'Please verify your email address to continue.',
+        requiresVerification: true
+      });
+    }
 
-    const userData = {
-      id: user._id,
-      email: user.email,
-      userType: user.userType,
-      role: user.role
-    };
+    // Second step required: hand out a short-lived challenge instead of a session
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: '2fa' },
+        twoFactorChallengeSecret(),
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+      );
 
-    if (user.userType === 'individual') {
-      userData.firstName = user.firstName;
-      userData.lastName = user.lastName;
+      return res.json({
+        message: 'Two-factor authentication required',
+        requiresTwoFactor: true,
+        challengeToken
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    res.status(500).json({ message: 'Login failed', error: error.message });
+  }
+});
+
+// Login Step 2 - exchange challenge token + TOTP/backup code for a session token
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, twoFactorChallengeSecret());
+    } catch (jwtError) {
+      return res.status(401).json({ message: 'Two-factor challenge expired. Please log in again.' });
+    }
+
+    if (decoded.purpose !== '2fa') {
+      return res.status(401).json({ message: 'Invalid two-factor challenge' });
+    }
+
+    if (securityHelpers.isIPBlocked(req.ip)) {
+      return res.status(429).json({
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid two-factor challenge' });
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        message: 'Account is locked. Please try again later.',
+        locked: true,
+        lockUntil: user.lockUntil
+      });
+    }
+
+    let usedBackupCode = false;
+
+    if (code) {
+      const step = totp.verifyCode(user.twoFactorSecret, code);
+      if (step === null || (user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep)) {
+        await user.incLoginAttempts();
+        securityHelpers.recordFailedLogin(req.ip);
+        return res.status(401).json({ message: 'Invalid authentication code' });
+      }
+      user.twoFactorLastUsedStep = step;
     } else {
-      userData.companyName = user.companyName;
-      userData.contactPerson = user.contactPerson;
+      if (!user.useBackupCode(backupCode)) {
+        await user.incLoginAttempts();
+        securityHelpers.recordFailedLogin(req.ip);
+        return res.status(401).json({ message: 'Invalid backup code' });
+      }
+      usedBackupCode = true;
+    }
+
+    user.loginAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('✅ 2FA login:', user.email, usedBackupCode ? '(backup code)' : '');
+
+    await sendLoginResponse(req, res, user, usedBackupCode
+      ? { usedBackupCode: true, backupCodesRemaining: user.twoFactorBackupCodes.length }
+      : {}, usedBackupCode ? 'backup-code' : '2fa');
+  } catch (error) {
+    res.status(500).json({ message: 'Login failed', error: error.message });
+  }
+});
+
+// Refresh - rotate the refresh token and issue a new access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
     }
 
+    const { session, status } = await Session.findByRefreshToken(refreshToken);
+
+    // A rotated-out token came back: someone holds a copy, kill the session
+    const rejectReuse = async () => {
+      if (!session.revokedAt) {
+        await session.revoke('reuse-detected');
+      }
+      console.warn('🚨 Refresh token reuse detected for session:', session._id, '| IP:', req.ip);
+      return res.status(401).json({
+        message: 'Session revoked for security reasons. Please log in again.',
+        reuseDetected: true
+      });
+    };
+
+    if (status === 'reused') {
+      return rejectReuse();
+    }
+
+    if (status !== 'valid') {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('revoked');
+      return res.status(401).json({ message: 'Account is not available' });
+    }
+
+    // Another request rotated this token first: it was used twice
+    const nextRefreshToken = await session.rotateIfCurrent(req);
+    if (!nextRefreshToken) {
+      return rejectReuse();
+    }
+
+    const token = signAccessToken(user, session._id);
+
     res.json({
-      message: 'Login successful',
+      message: 'Token refreshed',
       token,
-      user: userData
+      refreshToken: nextRefreshToken,
+      expiresIn: tokenExpiresIn(token),
+      sessionId: session._id
     });
   } catch (error) {
-    res.status(500).json({ message: 'Login failed', error: error.message });
+    res.status(500).json({ message: 'Failed to refresh token', error: error.message });
   }
 });
 
-// Get Current User
-router.get('/me', authenticateToken, async (req, res) => {
+// Logout - end the current session
+router.post('/logout', authenticateToken, logout);
+
+// Logout All - end every session of the current user (including this one)
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'logout-all');
+    // ...and any pre-session token still around
+    await User.updateOne({ _id: req.user._id }, { $set: { legacyTokensRevokedAt: new Date() } });
+
+    console.log(`🔒 ${revoked} session(s) revoked for user:`, req.user.email);
+
+    res.json({ message: 'Logged out from all sessions', revoked });
+  } catch (error) {
+    res.status(500).json({ message: 'Logout failed', error: error.message });
+  }
+});
+
+// Sessions - list active sessions of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch sessions', error: error.message });
+  }
+});
+
+// Revoke Session - log out a single session (e.g. a lost device)
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await session.revoke('revoked');
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to revoke session', error: error.message });
+  }
+});
+
+// 2FA Status
+router.get('/2fa/status', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      twoFactorEnabled: user.twoFactorEnabled,
+      backupCodesRemaining: user.twoFactorEnabled ? (user.twoFactorBackupCodes || []).length : 0
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to fetch 2FA status', error: error.message });
+  }
+});
+
+// 2FA Setup - generate a secret and otpauth:// URI for the authenticator app
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to start 2FA setup', error: error.message });
+  }
+});
+
+// 2FA Enable - confirm the first code and receive backup codes (shown once)
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.json(user);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ message: 'Start setup first' });
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const backupCodes = totp.generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorBackupCodes = backupCodes.map(backup => User.hashToken(backup));
+    await user.save({ validateBeforeSave: false });
+
+    console.log('🔐 2FA enabled for:', user.email);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe.',
+      backupCodes
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Failed to fetch user', error: error.message });
+    res.status(500).json({ message: 'Failed to enable 2FA', error: error.message });
   }
 });
 
-// Middleware to authenticate token
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// 2FA Backup Codes - regenerate (invalidates the old set)
+router.post('/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastUsedStep');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step === null || (user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
 
-  if (!token) {
-    return res.status(401).json({ message: 'Access token required' });
+    const backupCodes = totp.generateBackupCodes();
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorBackupCodes = backupCodes.map(backup => User.hashToken(backup));
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to regenerate backup codes', error: error.message });
   }
+});
+
+// 2FA Disable - requires password and a current code (or backup code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastUsedStep');
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
+    // Guessing counts like a failed login: same lockout as /login/2fa
+    if (user.isLocked) {
+      return res.status(423).json({
+        message: 'Account is locked. Please try again later.',
+        locked: true,
+        lockUntil: user.lockUntil
+      });
     }
-    req.user = user;
-    next();
+
+    const isMatch = await user.comparePassword(password || '');
+    if (!isMatch) {
+      await user.incLoginAttempts();
+      securityHelpers.recordFailedLogin(req.ip);
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    let validCode;
+    if (code) {
+      const step = totp.verifyCode(user.twoFactorSecret, code);
+      validCode = step !== null && !(user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep);
+    } else {
+      validCode = user.useBackupCode(backupCode);
+    }
+    if (!validCode) {
+      await user.incLoginAttempts();
+      securityHelpers.recordFailedLogin(req.ip);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.loginAttempts = 0;
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorBackupCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('🔓 2FA disabled for:', user.email);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to disable 2FA', error: error.message });
+  }
+});
+
+// Forgot Password - email a reset link
+router.post('/forgot-password', async (req, res) => {
+  // Same answer whether or not the email exists, to avoid account enumeration
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (mailError) {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      console.error('❌ Reset email error:', mailError.message);
+      return res.status(500).json({ message: 'Could not send reset email. Please try again later.' });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to process request', error: error.message });
+  }
+});
+
+// Reset Password - set a new password using the emailed token
+router.post('/reset-password/:token', async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const user = await User.findByResetToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Anyone holding an old session is logged out
+    await Session.revokeAllForUser(user._id, 'password-changed');
+
+    notifyPasswordChanged(user);
+
+    console.log('✅ Password reset for:', user.email);
+
+    res.json({ message: 'Password has been reset successfully. You can now log in.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to reset password', error: error.message });
+  }
+});
+
+// Verify Email - confirm address using the emailed token
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findByVerificationToken(req.params.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('✅ Email verified:', user.email);
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to verify email', error: error.message });
+  }
+});
+
+// Resend Verification - public, since unverified users can't authenticate
+router.post('/resend-verification', async (req, res) => {
+  const genericResponse = {
+    message: 'If this email needs verification, a new link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user || user.emailVerified || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const verificationToken = user.getEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('❌ Verification email error:', mailError.message);
+      return res.status(500).json({ message: 'Could not send verification email. Please try again later.' });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to process request', error: error.message });
+  }
+});
+
+// Get Current User
+router.get('/me', authenticateToken, (req, res) => {
+  res.json({ ...req.user.toJSON(), permissions: req.permissions });
+});
+
+// Login History - most recent successful logins of the current user
+router.get('/me/login-history', authenticateToken, (req, res) => {
+  res.json({
+    lastLogin: req.user.lastLogin,
+    loginHistory: req.user.loginHistory || [],
+    failedAttempts: req.user.loginAttempts || 0,
+    lockUntil: req.user.isLocked ? req.user.lockUntil : null
   });
-}
+});
+
+// Update Profile - whitelisted fields only
+router.put('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(PRIVATE_USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const allowed = PROFILE_FIELDS[user.userType] || [];
+    const updated = [];
+    const ignored = [];
+
+    for (const [field, value] of Object.entries(req.body)) {
+      if (allowed.includes(field)) {
+        user[field] = value;
+        updated.push(field);
+      } else if (field === 'address' && value && typeof value === 'object') {
+        for (const [addressField, addressValue] of Object.entries(value)) {
+          if (ADDRESS_FIELDS.includes(addressField)) {
+            user.set(`address.${addressField}`, addressValue);
+            updated.push(`address.${addressField}`);
+          } else {
+            ignored.push(`address.${addressField}`);
+          }
+        }
+      } else {
+        ignored.push(field);
+      }
+    }
+
+    if (updated.length === 0) {
+      return res.status(400).json({
+        message: 'No editable fields provided',
+        editableFields: [...allowed, 'address']
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Profile updated successfully',
+      user,
+      updatedFields: updated,
+      ignoredFields: ignored
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({ message: 'Failed to update profile', error: error.message });
+  }
+});
+
+// Change Password - requires the current password; other sessions are logged out
+router.put('/me/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // A stolen access token must not allow unlimited password guesses
+    if (user.isLocked) {
+      return res.status(423).json({
+        message: 'Account is locked. Please try again later.',
+        locked: true,
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      await user.incLoginAttempts();
+      securityHelpers.recordFailedLogin(req.ip);
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    user.loginAttempts = 0;
+    await user.save();
+
+    const sessionsRevoked = await Session.revokeAllForUser(user._id, 'password-changed', req.sessionId);
+
+    notifyPasswordChanged(user);
 
-// Middleware to check if admin
-function isAdmin(req, res, next) {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin access required' });
+    console.log('✅ Password changed:', user.email);
+
+    res.json({
+      message: 'Password changed successfully',
+      sessionsRevoked
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to change password', error: error.message });
+  }
+});
+
+// Request Account Deletion - confirmed with the password, processed after a grace period
+router.post('/me/deletion-request', authenticateToken, async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.deletionRequest && user.deletionRequest.requestedAt) {
+      return res.status(400).json({
+        message: 'Account deletion has already been requested',
+        deletionRequest: user.deletionRequest
+      });
+    }
+
+    // Same lockout as PUT /me/password
+    if (user.isLocked) {
+      return res.status(423).json({
+        message: 'Account is locked. Please try again later.',
+        locked: true,
+        lockUntil: user.lockUntil
+      });
+    }
+
+    const isMatch = await user.comparePassword(password || '');
+    if (!isMatch) {
+      await user.incLoginAttempts();
+      securityHelpers.recordFailedLogin(req.ip);
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    user.loginAttempts = 0;
+    user.deletionRequest = {
+      requestedAt: new Date(),
+      reason,
+      scheduledFor: new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+    };
+    await user.save({ validateBeforeSave: false });
+
+    notifyDeletionRequested(user).catch(error => {
+      console.error('❌ Deletion request notification failed:', error.message);
+    });
+
+    console.log('🗑️ Account deletion requested:', user.email);
+
+    res.json({
+      message: 'Account deletion requested. You can cancel it until the scheduled date.',
+      deletionRequest: user.deletionRequest
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to request account deletion', error: error.message });
   }
-  next();
-}
+});
+
+// Cancel Account Deletion
+router.delete('/me/deletion-request', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user || !user.deletionRequest || !user.deletionRequest.requestedAt) {
+      return res.status(404).json({ message: 'No pending deletion request' });
+    }
+
+    user.deletionRequest = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('↩️ Account deletion cancelled:', user.email);
+
+    res.json({ message: 'Account deletion request cancelled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to cancel deletion request', error: error.message });
+  }
+});
 
 module.exports = router;
-module.exports.authenticateToken = authenticateToken;
-module.exports.isAdmin = isAdmin;
@@ -1,29 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const Category = require('../models/Category');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const { LOCALES, missingTranslations, getRequiredLanguages } = require('../config/locales');
+
+const CATEGORY_SORTABLE = ['order', 'createdAt', 'updatedAt', 'value', ...LOCALES.map(code => `label.${code}`)];
+const CATEGORY_SELECTABLE = ['label', 'value', 'image', 'order', 'isActive', 'createdAt', 'updatedAt'];
 
 // ========================================
 // GET ALL CATEGORIES (Public)
 // ========================================
 router.get('/', async (req, res) => {
   try {
-    const categories = await Category.find({ isActive: true }).sort({ order: 1, createdAt: -1 });
+    const result = await paginate(Category, { isActive: true }, req.query, {
+      sortable: CATEGORY_SORTABLE,
+      selectable: CATEGORY_SELECTABLE,
+      defaultSort: 'order,-createdAt'
+    });
     
-    console.log('📤 Sending categories:', categories.length, 'items');
-    console.log('📤 First category:', categories[0]);
+    console.log('📤 Sending categories:', result.data.length, 'of', result.pagination.total);
     
-    // ✅ Return consistent format
+    // ✅ Return consistent format (categories/total kept for existing clients)
     res.json({
-      success: true,
-      categories,
-      total: categories.length
+      ...result,
+      categories: result.data,
+      total: result.pagination.total
     });
   } catch (error) {
     console.error('❌ Get categories error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false,
-      message: 'Failed to fetch categories',
+      message: error.status ? error.message : 'Failed to fetch categories',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -60,15 +68,17 @@ router.get('/:id', async (req, res) => {
 // ========================================
 // CREATE CATEGORY (Admin Only)
 // ========================================
-router.post('/', authenticateToken, isAdmin, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('categories:write'), async (req, res) => {
   try {
     const { label, value, image, order, isActive } = req.body;
     
     // ✅ Validation
-    if (!label || !label.en || !label.ar || !label.es) {
+    const missing = missingTranslations('category.label', label);
+    if (missing.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Category label in all languages (en, ar, es) is required'
+        message: `Category label in all required languages (${getRequiredLanguages('category.label').join(', ')}) is required`,
+        missingLanguages: missing
       });
     }
     
@@ -130,10 +140,21 @@ router.post('/', authenticateToken, isAdmin, async (req, res) => {
 // ========================================
 // UPDATE CATEGORY (Admin Only)
 // ========================================
-router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('categories:write'), async (req, res) => {
   try {
     const { label, value, image, order, isActive } = req.body;
     
+    if (label) {
+      const missing = missingTranslations('category.label', label);
+      if (missing.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Category label in all required languages (${getRequiredLanguages('category.label').join(', ')}) is required`,
+          missingLanguages: missing
+        });
+      }
+    }
+    
     // Find category
     const category = await Category.findById(req.params.id);
     
@@ -199,7 +220,7 @@ router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
 // ========================================
 // DELETE CATEGORY (Admin Only)
 // ========================================
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('categories:write'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
@@ -244,7 +265,7 @@ router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
 // ========================================
 // TOGGLE CATEGORY ACTIVE STATUS (Admin Only)
 // ========================================
-router.patch('/:id/toggle-active', authenticateToken, isAdmin, async (req, res) => {
+router.patch('/:id/toggle-active', authenticateToken, requirePermission('categories:write'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     
@@ -0,0 +1,428 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Certification = require('../models/Certification');
+const Product = require('../models/Product');
+const { authenticateToken, requirePermission, optionalUser, can } = require('../middleware/auth');
+const {
+  upload,
+  cloudinary,
+  createDocumentUpload,
+  describeUploadedDocument,
+  getSignedDownloadUrl,
+  deletePrivateDocument
+} = require('../config/cloudinary');
+
+const DOWNLOAD_LINK_SECONDS = 10 * 60;
+const DEFAULT_EXPIRY_WINDOW_DAYS = 30;
+const MAX_EXPIRY_WINDOW_DAYS = 365;
+const PDF_FORMAT = { 'application/pdf': 'pdf' };
+const EDITABLE_FIELDS = ['name', 'issuer', 'certificateNumber', 'scope', 'validFrom', 'validUntil', 'isActive'];
+
+const documentUpload = createDocumentUpload({
+  folder: 'olivegardens/certifications',
+  formats: PDF_FORMAT
+});
+
+// ✅ Multer errors (type, size) as JSON 400s
+const uploadDocument = (req, res, next) => {
+  documentUpload.single('document')(req, res, (error) => {
+    if (!error) return next();
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge || error.status === 400 ? 400 : 500).json({
+      success: false,
+      message: tooLarge ? 'File too large. Maximum size is 10MB.' : error.message
+    });
+  });
+};
+
+const pickEditable = (body) => Object.fromEntries(
+  Object.entries(body || {}).filter(([field]) => EDITABLE_FIELDS.includes(field))
+);
+
+const isPublic = (certification) => certification.isActive && !certification.isExpired;
+
+// ✅ What visitors see: no storage ids, just whether a PDF can be downloaded
+const publicView = (certification) => {
+  const { document, updatedBy, ...data } = certification.toJSON();
+  return {
+    ...data,
+    image: data.image && data.image.url ? { url: data.image.url } : undefined,
+    hasDocument: !!(document && document.publicId)
+  };
+};
+
+const linkedProducts = (certificationIds) => Product.find({ 'certifications.certification': { $in: certificationIds } })
+  .select('name category isActive certifications.certification');
+
+const handleCertificationError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.name === 'CastError' || error instanceof SyntaxError) {
+    return res.status(400).json({
+      success: false,
+      message: error instanceof SyntaxError ? 'Invalid certificationData JSON' : `Invalid ${error.path}`
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A certificate with this issuer and number already exists'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// @route   GET /api/certifications
+// @desc    Current certificates (catalog staff: all, ?expired=true|false, ?active=true|false)
+// @access  Public
+router.get('/', optionalUser, async (req, res) => {
+  try {
+    const staff = can(req, 'products:write');
+    const filter = {};
+
+    if (staff) {
+      if (req.query.active === 'true') filter.isActive = true;
+      if (req.query.active === 'false') filter.isActive = false;
+      if (req.query.expired === 'true') filter.validUntil = { $lte: new Date() };
+      if (req.query.expired === 'false') filter.validUntil = { $gt: new Date() };
+    } else {
+      filter.isActive = true;
+      filter.validUntil = { $gt: new Date() };
+    }
+
+    const certifications = await Certification.find(filter).sort({ name: 1, validUntil: -1 });
+
+    res.json({
+      success: true,
+      total: certifications.length,
+      certifications: staff ? certifications : certifications.map(publicView)
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to fetch certifications');
+  }
+});
+
+// @route   GET /api/certifications/expiring
+// @desc    Active certificates expiring within ?days= (default 30), with linked products; ?includeExpired=true adds expired ones
+// @access  Private (products:write)
+router.get('/expiring', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const days = Math.min(
+      Math.max(parseInt(req.query.days, 10) || DEFAULT_EXPIRY_WINDOW_DAYS, 1),
+      MAX_EXPIRY_WINDOW_DAYS
+    );
+
+    const certifications = await Certification.findExpiring(days, {
+      includeExpired: req.query.includeExpired === 'true'
+    });
+    const products = await linkedProducts(certifications.map(certification => certification._id));
+
+    res.json({
+      success: true,
+      days,
+      total: certifications.length,
+      certifications: certifications.map(certification => ({
+        ...certification.toJSON(),
+        products: products
+          .filter(product => product.certifications.some(badge =>
+            badge.certification && badge.certification.equals(certification._id)))
+          .map(({ _id, name, category, isActive }) => ({ _id, name, category, isActive }))
+      }))
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to build expiry report');
+  }
+});
+
+// @route   GET /api/certifications/:id
+// @desc    Certificate with its linked products (expired / inactive ones: catalog staff only)
+// @access  Public
+router.get('/:id', optionalUser, async (req, res) => {
+  try {
+    const staff = can(req, 'products:write');
+    const certification = await Certification.findById(req.params.id);
+
+    if (!certification || (!staff && !isPublic(certification))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    const products = (await linkedProducts([certification._id]))
+      .filter(product => staff || product.isActive)
+      .map(({ _id, name, category, isActive }) => ({ _id, name, category, isActive }));
+
+    res.json({
+      success: true,
+      certification: staff ? certification : publicView(certification),
+      products
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to fetch certification');
+  }
+});
+
+// @route   GET /api/certifications/:id/document
+// @desc    Short-lived download link for the certificate PDF
+// @access  Public (current certificates) / catalog staff
+router.get('/:id/document', optionalUser, async (req, res) => {
+  try {
+    const certification = await Certification.findById(req.params.id);
+
+    if (!certification || (!can(req, 'products:write') && !isPublic(certification))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    if (!certification.document || !certification.document.publicId) {
+      return res.status(404).json({
+        success: false,
+        message: 'No document uploaded for this certification'
+      });
+    }
+
+    res.json({
+      success: true,
+      fileName: certification.document.fileName,
+      downloadUrl: getSignedDownloadUrl(certification.document, DOWNLOAD_LINK_SECONDS),
+      expiresIn: DOWNLOAD_LINK_SECONDS
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to create download link');
+  }
+});
+
+// @route   POST /api/certifications
+// @desc    Create a certificate (multipart: certificationData JSON + optional badge image)
+// @access  Private (products:write)
+router.post('/', authenticateToken, requirePermission('products:write'), upload.single('image'), async (req, res) => {
+  try {
+    const data = pickEditable(JSON.parse(req.body.certificationData || '{}'));
+
+    if (req.file) {
+      data.image = { url: req.file.path, publicId: req.file.filename };
+    }
+
+    const certification = await Certification.create({ ...data, updatedBy: req.user._id });
+
+    console.log('📜 Certification created:', certification.name, certification.certificateNumber, 'by', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: 'Certification created successfully',
+      certification
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to create certification');
+  }
+});
+
+// @route   PUT /api/certifications/:id
+// @desc    Update a certificate (multipart: certificationData JSON + optional new badge); linked products follow
+// @access  Private (products:write)
+router.put('/:id', authenticateToken, requirePermission('products:write'), upload.single('image'), async (req, res) => {
+  try {
+    const certification = await Certification.findById(req.params.id);
+
+    if (!certification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    const previousImage = certification.image && certification.image.publicId;
+
+    certification.set(pickEditable(JSON.parse(req.body.certificationData || '{}')));
+    if (req.file) {
+      certification.image = { url: req.file.path, publicId: req.file.filename };
+    }
+    certification.updatedBy = req.user._id;
+    await certification.save();
+
+    if (req.file && previousImage) {
+      cloudinary.uploader.destroy(previousImage).catch(error => {
+        console.error('⚠️ Cloudinary deletion error:', error.message);
+      });
+    }
+
+    const updatedProducts = await certification.syncProducts();
+
+    console.log('📜 Certification updated:', certification.name, `(${updatedProducts} product(s) refreshed)`);
+
+    res.json({
+      success: true,
+      message: 'Certification updated successfully',
+      certification
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to update certification');
+  }
+});
+
+// @route   PUT /api/certifications/:id/document
+// @desc    Upload or replace the certificate PDF (multipart: document)
+// @access  Private (products:write)
+router.put('/:id/document', authenticateToken, requirePermission('products:write'), uploadDocument, async (req, res) => {
+  const uploaded = req.file ? describeUploadedDocument(req.file, PDF_FORMAT) : null;
+
+  try {
+    if (!uploaded) {
+      return res.status(400).json({
+        success: false,
+        message: 'No document provided'
+      });
+    }
+
+    const certification = await Certification.findById(req.params.id);
+
+    if (!certification) {
+      await deletePrivateDocument(uploaded).catch(() => null);
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    const previous = certification.document && certification.document.publicId ? { ...certification.document.toObject() } : null;
+
+    certification.document = { ...uploaded, uploadedAt: new Date() };
+    certification.updatedBy = req.user._id;
+    await certification.save();
+
+    if (previous) {
+      deletePrivateDocument(previous).catch(error => {
+        console.error('❌ Failed to remove previous certificate document:', error.message);
+      });
+    }
+
+    console.log('📜 Certificate document uploaded:', certification.name, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Document uploaded successfully',
+      certification
+    });
+  } catch (error) {
+    if (uploaded) {
+      deletePrivateDocument(uploaded).catch(() => null);
+    }
+    handleCertificationError(res, error, 'Failed to upload document');
+  }
+});
+
+// @route   PUT /api/certifications/:id/products
+// @desc    Set the products a certificate applies to ({ products: [ids] })
+// @access  Private (products:write)
+router.put('/:id/products', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const certification = await Certification.findById(req.params.id);
+
+    if (!certification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    const productIds = [...new Set((Array.isArray(req.body.products) ? req.body.products : []).map(String))];
+    if (productIds.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'products must be a list of product ids'
+      });
+    }
+
+    const found = await Product.countDocuments({ _id: { $in: productIds } });
+    if (found !== productIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some products were not found'
+      });
+    }
+
+    const unlinked = await Product.updateMany(
+      { _id: { $nin: productIds }, 'certifications.certification': certification._id },
+      { $pull: { certifications: { certification: certification._id } } }
+    );
+    const linked = await Product.updateMany(
+      { _id: { $in: productIds }, 'certifications.certification': { $ne: certification._id } },
+      { $push: { certifications: certification.toBadge() } }
+    );
+    await certification.syncProducts();
+
+    console.log(`📜 ${certification.name}: ${linked.modifiedCount} product(s) linked, ${unlinked.modifiedCount} unlinked`);
+
+    res.json({
+      success: true,
+      message: 'Linked products updated',
+      linked: linked.modifiedCount,
+      unlinked: unlinked.modifiedCount,
+      products: productIds
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to update linked products');
+  }
+});
+
+// @route   DELETE /api/certifications/:id
+// @desc    Delete a certificate, its files and its badges on products
+// @access  Private (products:write)
+router.delete('/:id', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const certification = await Certification.findByIdAndDelete(req.params.id);
+
+    if (!certification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certification not found'
+      });
+    }
+
+    const { modifiedCount } = await Product.updateMany(
+      { 'certifications.certification': certification._id },
+      { $pull: { certifications: { certification: certification._id } } }
+    );
+
+    if (certification.image && certification.image.publicId) {
+      cloudinary.uploader.destroy(certification.image.publicId).catch(error => {
+        console.error('⚠️ Cloudinary deletion error:', error.message);
+      });
+    }
+    if (certification.document && certification.document.publicId) {
+      deletePrivateDocument(certification.document).catch(error => {
+        console.error('❌ Failed to remove certificate document:', error.message);
+      });
+    }
+
+    console.log('🗑️ Certification deleted:', certification.name, `(removed from ${modifiedCount} product(s))`);
+
+    res.json({
+      success: true,
+      message: 'Certification deleted successfully'
+    });
+  } catch (error) {
+    handleCertificationError(res, error, 'Failed to delete certification');
+  }
+});
+
+module.exports = router;
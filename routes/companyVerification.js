@@ -0,0 +1,445 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  createDocumentUpload,
+  describeUploadedDocument,
+  getSignedDownloadUrl,
+  deletePrivateDocument
+} = require('../config/cloudinary');
+const { paginate } = require('../utils/query');
+const { notifyVerificationSubmitted, notifyVerificationDecision } = require('../services/mail');
+
+const { VERIFICATION_STATUSES, VERIFICATION_DOCUMENT_TYPES } = User;
+
+const MAX_DOCUMENTS = 10;
+const DOWNLOAD_LINK_SECONDS = 10 * 60;
+
+const COMPANY_SORTABLE = ['createdAt', 'companyName', 'companyVerification.submittedAt', 'companyVerification.reviewedAt'];
+const COMPANY_SELECTABLE = [
+  'email', 'companyName', 'contactPerson', 'companyRegistrationNumber', 'taxId',
+  'phone', 'address', 'companyVerification', 'createdAt'
+];
+const COMPANY_FIELDS = 'email companyName contactPerson companyRegistrationNumber taxId phone address companyVerification createdAt';
+
+const documentUpload = createDocumentUpload({ folder: 'olivegardens/kyc' });
+
+// ✅ Multer errors (type, size) as JSON 400s
+const uploadDocuments = (req, res, next) => {
+  documentUpload.array('documents', 5)(req, res, (error) => {
+    if (!error) return next();
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge || error.status === 400 ? 400 : 500).json({
+      success: false,
+      message: tooLarge ? 'File too large. Maximum size is 10MB.' : error.message
+    });
+  });
+};
+
+// KYC is handled by the organization owner; other members can only view it
+const requireOrganizationOwner = (req, res, next) => {
+  if (req.membership && req.membership.role !== 'owner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the organization owner can manage company verification'
+    });
+  }
+  next();
+};
+
+// Account holding the KYC documents - the owner's for organization members
+const verificationAccountId = (req) => {
+  const owner = req.organization && req.organization.getOwner();
+  return owner ? owner.user : req.user._id;
+};
+
+// Verification state with short-lived download links for the documents
+const serializeVerification = (user) => {
+  const { companyVerification: verification } = user.toObject({ virtuals: false });
+
+  return {
+    ...verification,
+    documents: verification.documents.map(document => ({
+      ...document,
+      downloadUrl: getSignedDownloadUrl(document, DOWNLOAD_LINK_SECONDS)
+    }))
+  };
+};
+
+const loadCompanyUser = async (userId, res) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user.userType !== 'company') {
+    res.status(400).json({
+      success: false,
+      message: 'Verification is only available for company accounts'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Documents are frozen while under review and once verified
+const ensureDocumentsEditable = (user, res) => {
+  const { status } = user.companyVerification;
+
+  if (status === 'pending' || status === 'verified') {
+    res.status(400).json({
+      success: false,
+      message: `Documents cannot be changed while verification is ${status}`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// ========================================
+// COMPANY (SELF-SERVICE)
+// ========================================
+
+// @route   GET /api/company-verification/me
+// @desc    Own verification status and documents
+// @access  Private (company accounts and their organization members)
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await loadCompanyUser(verificationAccountId(req), res);
+    if (!user) return;
+
+    res.json({
+      success: true,
+      verification: serializeVerification(user),
+      documentTypes: VERIFICATION_DOCUMENT_TYPES
+    });
+  } catch (error) {
+    console.error('❌ Get verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch verification status',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/company-verification/me/documents
+// @desc    Upload registration documents (multipart: documents[], type)
+// @access  Private (company accounts; organization owner)
+router.post('/me/documents', authenticateToken, requireOrganizationOwner, uploadDocuments, async (req, res) => {
+  const uploaded = (req.files || []).map(file => describeUploadedDocument(file));
+
+  // Files are already on Cloudinary - remove them again if we can't keep them
+  const discardUploads = () => Promise.all(uploaded.map(document =>
+    deletePrivateDocument(document).catch(error => {
+      console.error('❌ Failed to remove uploaded document:', error.message);
+    })
+  ));
+
+  try {
+    if (uploaded.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No documents provided'
+      });
+    }
+
+    const user = await loadCompanyUser(req.user._id, res);
+    if (!user || !ensureDocumentsEditable(user, res)) {
+      await discardUploads();
+      return;
+    }
+
+    const type = req.body.type || 'other';
+    if (!VERIFICATION_DOCUMENT_TYPES.includes(type)) {
+      await discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: `Invalid document type. Allowed: ${VERIFICATION_DOCUMENT_TYPES.join(', ')}`
+      });
+    }
+
+    if (user.companyVerification.documents.length + uploaded.length > MAX_DOCUMENTS) {
+      await discardUploads();
+      return res.status(400).json({
+        success: false,
+        message: `A maximum of ${MAX_DOCUMENTS} documents can be attached`
+      });
+    }
+
+    uploaded.forEach(document => user.companyVerification.documents.push({ ...document, type }));
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`📎 ${uploaded.length} verification document(s) uploaded by ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents uploaded successfully',
+      verification: serializeVerification(user)
+    });
+  } catch (error) {
+    await discardUploads();
+    console.error('❌ Upload verification documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload documents',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/company-verification/me/documents/:documentId
+// @desc    Remove an uploaded document
+// @access  Private (company accounts; organization owner)
+router.delete('/me/documents/:documentId', authenticateToken, requireOrganizationOwner, async (req, res) => {
+  try {
+    const user = await loadCompanyUser(req.user._id, res);
+    if (!user || !ensureDocumentsEditable(user, res)) return;
+
+    const document = user.companyVerification.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await deletePrivateDocument(document).catch(error => {
+      console.error('❌ Cloudinary delete error:', error.message);
+    });
+
+    document.deleteOne();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Document removed successfully',
+      verification: serializeVerification(user)
+    });
+  } catch (error) {
+    console.error('❌ Delete verification document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove document',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/company-verification/me/submit
+// @desc    Submit uploaded documents for review
+// @access  Private (company accounts; organization owner)
+router.post('/me/submit', authenticateToken, requireOrganizationOwner, async (req, res) => {
+  try {
+    const user = await loadCompanyUser(req.user._id, res);
+    if (!user) return;
+
+    if (!user.canTransitionVerification('pending')) {
+      return res.status(400).json({
+        success: false,
+        message: `Verification cannot be submitted while it is ${user.companyVerification.status}`
+      });
+    }
+
+    if (user.companyVerification.documents.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload at least one document before submitting'
+      });
+    }
+
+    user.setVerificationStatus('pending', user._id);
+    await user.save({ validateBeforeSave: false });
+    await Organization.syncVerification(user);
+
+    notifyVerificationSubmitted(user).catch(error => {
+      console.error('❌ Verification notification failed:', error.message);
+    });
+
+    console.log('🏢 Company verification submitted:', user.companyName);
+
+    res.json({
+      success: true,
+      message: 'Verification submitted. We will review your documents shortly.',
+      verification: serializeVerification(user)
+    });
+  } catch (error) {
+    console.error('❌ Submit verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit verification',
+      error: error.message
+    });
+  }
+});
+
+// ========================================
+// REVIEW (STAFF)
+// ========================================
+
+// @route   GET /api/company-verification
+// @desc    Company accounts by verification status (?status=pending by default)
+// @access  Private (companies:read)
+router.get('/', authenticateToken, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (status !== 'all' && !VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: all, ${VERIFICATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = { userType: 'company' };
+    if (status !== 'all') filter['companyVerification.status'] = status;
+
+    const result = await paginate(User, filter, req.query, {
+      sortable: COMPANY_SORTABLE,
+      selectable: COMPANY_SELECTABLE,
+      defaultSort: 'companyVerification.submittedAt',
+      select: COMPANY_FIELDS
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ List verifications error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch verification requests',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/company-verification/:userId
+// @desc    Company details with document download links
+// @access  Private (companies:read)
+router.get('/:userId', authenticateToken, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const user = await loadCompanyUser(req.params.userId, res);
+    if (!user) return;
+
+    await user.populate('companyVerification.reviewedBy companyVerification.history.changedBy', 'email firstName lastName');
+
+    res.json({
+      success: true,
+      company: {
+        id: user._id,
+        email: user.email,
+        companyName: user.companyName,
+        contactPerson: user.contactPerson,
+        companyRegistrationNumber: user.companyRegistrationNumber,
+        taxId: user.taxId,
+        phone: user.phone,
+        address: user.address,
+        createdAt: user.createdAt
+      },
+      verification: serializeVerification(user)
+    });
+  } catch (error) {
+    console.error('❌ Get company verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch company verification',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/company-verification/:userId/approve
+// @desc    Mark a company as verified
+// @access  Private (companies:verify)
+router.patch('/:userId/approve', authenticateToken, requirePermission('companies:verify'), async (req, res) => {
+  try {
+    const user = await loadCompanyUser(req.params.userId, res);
+    if (!user) return;
+
+    if (!user.canTransitionVerification('verified')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot approve a verification that is ${user.companyVerification.status}`
+      });
+    }
+
+    user.setVerificationStatus('verified', req.user._id, req.body.note);
+    await user.save({ validateBeforeSave: false });
+    await Organization.syncVerification(user);
+
+    notifyVerificationDecision(user);
+
+    console.log('✅ Company verified:', user.companyName, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Company verified successfully',
+      verification: serializeVerification(user)
+    });
+  } catch (error) {
+    console.error('❌ Approve verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve verification',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/company-verification/:userId/reject
+// @desc    Reject (or revoke) verification with a reason shown to the company
+// @access  Private (companies:verify)
+router.patch('/:userId/reject', authenticateToken, requirePermission('companies:verify'), async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A rejection reason is required'
+      });
+    }
+
+    const user = await loadCompanyUser(req.params.userId, res);
+    if (!user) return;
+
+    if (!user.canTransitionVerification('rejected')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reject a verification that is ${user.companyVerification.status}`
+      });
+    }
+
+    user.setVerificationStatus('rejected', req.user._id, reason);
+    await user.save({ validateBeforeSave: false });
+    await Organization.syncVerification(user);
+
+    notifyVerificationDecision(user);
+
+    console.log('⛔ Company verification rejected:', user.companyName, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Verification rejected',
+      verification: serializeVerification(user)
+    });
+  } catch (error) {
+    console.error('❌ Reject verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject verification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
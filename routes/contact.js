@@ -1,12 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const { Contact } = require('../models/Others');
-const { authenticateToken, isAdmin } = require('./auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const { notifyContactSubmitted } = require('../services/mail');
+const { negotiateLanguage } = require('../middleware/locale');
+const { LOCALES } = require('../config/locales');
+
+const CONTACT_SORTABLE = ['createdAt', 'updatedAt', 'status', 'inquiryType', 'name', 'email'];
+const CONTACT_SELECTABLE = [
+  'name', 'email', 'phone', 'company', 'subject', 'message',
+  'inquiryType', 'status', 'quotation', 'createdAt', 'updatedAt'
+];
 
 // Submit Contact Form (Public)
 router.post('/', async (req, res) => {
   try {
-    const { name, email, phone, company, subject, message, inquiryType, userType } = req.body;
+    const { name, email, phone, company, subject, message, inquiryType, userType, language } = req.body;
     
     // Validation
     if (!name || !email || !subject || !message) {
@@ -24,11 +34,17 @@ router.post('/', async (req, res) => {
       subject,
       message,
       inquiryType: inquiryType || 'general',
-      userType: userType || 'individual'
+      userType: userType || 'individual',
+      language: LOCALES.includes(language) ? language : negotiateLanguage(req.headers['accept-language'])
     });
     
     await contact.save();
     
+    // ✅ Confirmation to the visitor + notification to admins (not awaited)
+    notifyContactSubmitted(contact, contact.language).catch(error => {
+      console.error('❌ Contact notification error:', error.message);
+    });
+    
     // ✅ إضافة success: true
     res.status(201).json({
       success: true,
@@ -45,22 +61,27 @@ router.post('/', async (req, res) => {
 });
 
 // Get All Contact Messages (Admin Only)
-router.get('/', authenticateToken, isAdmin, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('inquiries:read'), async (req, res) => {
   try {
-    const { status } = req.query;
+    const { status, inquiryType } = req.query;
     let query = {};
     
     if (status) query.status = status;
+    if (inquiryType) query.inquiryType = inquiryType;
     
-    const messages = await Contact.find(query).sort({ createdAt: -1 });
-    res.json(messages);
+    const result = await paginate(Contact, query, req.query, {
+      sortable: CONTACT_SORTABLE,
+      selectable: CONTACT_SELECTABLE,
+      defaultSort: '-createdAt'
+    });
+    res.json(result);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to fetch messages', error: error.message });
+    res.status(error.status || 500).json({ message: 'Failed to fetch messages', error: error.message });
   }
 });
 
 // Update Message Status (Admin Only)
-router.patch('/:id/status', authenticateToken, isAdmin, async (req, res) => {
+router.patch('/:id/status', authenticateToken, requirePermission('inquiries:write'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -84,7 +105,7 @@ router.patch('/:id/status', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Delete Message (Admin Only)
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('inquiries:delete'), async (req, res) => {
   try {
     const contact = await Contact.findByIdAndDelete(req.params.id);
     
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Content = require('../models/Content');
-const { authenticateToken, isAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { emptyTranslation } = require('../config/locales');
 
 // ===== PUBLIC ROUTES =====
 
@@ -14,9 +15,9 @@ router.get('/hero', async (req, res) => {
       content = await Content.create({
         section: 'hero',
         heroSlides: [{
-          title: { en: '', ar: '', es: '' },
-          subtitle: { en: '', ar: '', es: '' },
-          buttonText: { en: '', ar: '', es: '' },
+          title: emptyTranslation(),
+          subtitle: emptyTranslation(),
+          buttonText: emptyTranslation(),
           buttonLink: '',
           image: '',
           order: 1,
@@ -41,12 +42,12 @@ router.get('/about', async (req, res) => {
       content = await Content.create({
         section: 'about',
         about: {
-          title: { en: '', ar: '', es: '' },
-          story: { en: '', ar: '', es: '' },
-          mission: { en: '', ar: '', es: '' },
-          vision: { en: '', ar: '', es: '' },
+          title: emptyTranslation(),
+          story: emptyTranslation(),
+          mission: emptyTranslation(),
+          vision: emptyTranslation(),
           foundedYear: '1980',
-          companyType: { en: '', ar: '', es: '' },
+          companyType: emptyTranslation(),
           image: ''
         },
         stats: [
@@ -142,7 +143,7 @@ router.get('/features', async (req, res) => {
 // ===== ADMIN ROUTES =====
 
 // Update Hero Section
-router.put('/hero', authenticateToken, isAdmin, async (req, res) => {
+router.put('/hero', authenticateToken, requirePermission('content:publish'), async (req, res) => {
   try {
     const { heroSlides } = req.body;
 
@@ -172,7 +173,7 @@ router.put('/hero', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Update About Section
-router.put('/about', authenticateToken, isAdmin, async (req, res) => {
+router.put('/about', authenticateToken, requirePermission('content:publish'), async (req, res) => {
   try {
     const { about, stats } = req.body;
 
@@ -204,7 +205,7 @@ router.put('/about', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Update Contact Info
-router.put('/contact-info', authenticateToken, isAdmin, async (req, res) => {
+router.put('/contact-info', authenticateToken, requirePermission('content:publish'), async (req, res) => {
   try {
     const { contactInfo } = req.body;
 
@@ -234,7 +235,7 @@ router.put('/contact-info', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Update Company Info
-router.put('/company-info', authenticateToken, isAdmin, async (req, res) => {
+router.put('/company-info', authenticateToken, requirePermission('content:publish'), async (req, res) => {
   try {
     const { companyInfo } = req.body;
 
@@ -264,7 +265,7 @@ router.put('/company-info', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Update Features Section
-router.put('/features', authenticateToken, isAdmin, async (req, res) => {
+router.put('/features', authenticateToken, requirePermission('content:publish'), async (req, res) => {
   try {
     const { features } = req.body;
 
@@ -290,7 +291,7 @@ router.put('/features', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Get All Content Sections (Admin)
-router.get('/admin/all', authenticateToken, isAdmin, async (req, res) => {
+router.get('/admin/all', authenticateToken, requirePermission('content:read'), async (req, res) => {
   try {
     const content = await Content.find();
     res.json(content);
@@ -300,7 +301,7 @@ router.get('/admin/all', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Initialize Default Content (Run once)
-router.post('/initialize', authenticateToken, isAdmin, async (req, res) => {
+router.post('/initialize', authenticateToken, requirePermission('content:publish'), async (req, res) => {
   try {
     const existingContent = await Content.findOne();
     if (existingContent) {
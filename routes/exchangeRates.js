@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const ExchangeRate = require('../models/ExchangeRate');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { BASE_CURRENCY } = require('../config/pricing');
+const { CURRENCIES, ROUNDING_MODE, isCurrency } = require('../config/currencies');
+const { parseCsv } = require('../utils/csv');
+
+// ✅ Rate files are small - keep them in memory
+const rateFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB
+  }
+});
+
+const uploadRateFile = (req, res, next) => {
+  rateFileUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(400).json({
+      success: false,
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 1MB.' : error.message
+    });
+  });
+};
+
+const handleRateError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+/**
+ * Rate file → [{ line, currency, rate, base }]. Accepted formats:
+ *   CSV   currency,rate[,base]
+ *   JSON  { "base": "USD", "rates": { "EUR": 0.92 } } or [{ "currency": "EUR", "rate": 0.92 }]
+ */
+const readRateFile = (file) => {
+  const text = file.buffer.toString('utf8');
+  const isJson = /json/.test(file.mimetype) || /\.json$/i.test(file.originalname) || /^\s*[[{]/.test(text);
+
+  if (!isJson) {
+    return parseCsv(text).map(row => ({
+      line: row.line,
+      currency: row.currency,
+      rate: row.rate,
+      base: row.base
+    }));
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    const parseError = new Error(`Invalid JSON: ${error.message}`);
+    parseError.status = 400;
+    throw parseError;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((entry, i) => ({ line: i + 1, ...entry }));
+  }
+
+  const rates = data.rates || {};
+  return Object.entries(rates).map(([currency, rate], i) => ({ line: i + 1, currency, rate, base: data.base }));
+};
+
+const validateRateRow = (row) => {
+  const currency = String(row.currency || '').trim().toUpperCase();
+  const rate = Number(row.rate);
+
+  if (row.base && String(row.base).trim().toUpperCase() !== BASE_CURRENCY) {
+    return `rates must be quoted against ${BASE_CURRENCY}, got base ${row.base}`;
+  }
+  if (!isCurrency(currency)) return `unsupported currency '${row.currency}'`;
+  if (currency === BASE_CURRENCY) return `${BASE_CURRENCY} is the base currency`;
+  if (!Number.isFinite(rate) || rate <= 0) return `invalid rate '${row.rate}'`;
+  return null;
+};
+
+// @route   GET /api/exchange-rates
+// @desc    Supported currencies and current rates against the base currency
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().select('currency rate source updatedAt').sort({ currency: 1 }).lean();
+
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      rounding: ROUNDING_MODE,
+      currencies: Object.entries(CURRENCIES).map(([code, currency]) => ({ code, ...currency })),
+      rates: rates.map(({ currency, rate, source, updatedAt }) => ({ currency, rate, source, updatedAt }))
+    });
+  } catch (error) {
+    handleRateError(res, error, 'Failed to fetch exchange rates');
+  }
+});
+
+// @route   GET /api/exchange-rates/:currency/history
+// @desc    Past rates of a currency (most recent first)
+// @access  Private (pricing:read)
+router.get('/:currency/history', authenticateToken, requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const entry = await ExchangeRate.findOne({ currency: req.params.currency.toUpperCase() })
+      .select('+history')
+      .populate('history.changedBy', 'email firstName lastName');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      currency: entry.currency,
+      rate: entry.rate,
+      history: [...entry.history].reverse()
+    });
+  } catch (error) {
+    handleRateError(res, error, 'Failed to fetch rate history');
+  }
+});
+
+// @route   PUT /api/exchange-rates/:currency
+// @desc    Set a rate manually ({ rate } = units of currency per 1 base currency)
+// @access  Private (pricing:write)
+router.put('/:currency', authenticateToken, requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const entry = await ExchangeRate.setRate(req.params.currency, req.body.rate, 'manual', req.user._id);
+
+    console.log(`💱 ${BASE_CURRENCY}/${entry.currency} = ${entry.rate} set by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Exchange rate updated',
+      rate: entry
+    });
+  } catch (error) {
+    handleRateError(res, error, 'Failed to update exchange rate');
+  }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import rates from a CSV or JSON file (multipart: file), ?dryRun=true validates only
+// @access  Private (pricing:write)
+router.post('/import', authenticateToken, requirePermission('pricing:write'), uploadRateFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file provided'
+      });
+    }
+
+    const rows = readRateFile(req.file);
+    const dryRun = req.query.dryRun === 'true';
+    const errors = [];
+    const valid = [];
+
+    rows.forEach(row => {
+      const problem = validateRateRow(row);
+      if (problem) errors.push({ line: row.line, message: problem });
+      else valid.push({ currency: String(row.currency).trim().toUpperCase(), rate: Number(row.rate) });
+    });
+
+    if (!dryRun) {
+      for (const { currency, rate } of valid) {
+        await ExchangeRate.setRate(currency, rate, 'import', req.user._id);
+      }
+      console.log(`💱 ${valid.length} exchange rate(s) imported by ${req.user.email}`);
+    }
+
+    res.json({
+      success: errors.length === 0,
+      message: dryRun
+        ? `${valid.length} rate(s) valid, ${errors.length} error(s)`
+        : `${valid.length} rate(s) imported, ${errors.length} skipped`,
+      dryRun,
+      imported: dryRun ? 0 : valid.length,
+      rates: valid,
+      errors
+    });
+  } catch (error) {
+    handleRateError(res, error, 'Failed to import exchange rates');
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:currency
+// @desc    Remove a rate (conversions into that currency stop working)
+// @access  Private (pricing:write)
+router.delete('/:currency', authenticateToken, requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const entry = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toUpperCase() });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    console.log(`💱 ${BASE_CURRENCY}/${entry.currency} removed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Exchange rate removed'
+    });
+  } catch (error) {
+    handleRateError(res, error, 'Failed to remove exchange rate');
+  }
+});
+
+module.exports = router;
@@ -2,18 +2,30 @@ const express = require('express');
 const router = express.Router();
 const Gallery = require('../models/Gallery');
 const { upload, cloudinary } = require('../config/cloudinary');
-const { authenticateToken, isAdmin } = require('./auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const { emptyTranslation } = require('../config/locales');
+
+const GALLERY_SORTABLE = ['order', 'createdAt', 'updatedAt', 'category'];
+const GALLERY_SELECTABLE = ['title', 'description', 'imageUrl', 'publicId', 'category', 'order', 'isActive', 'createdAt', 'updatedAt'];
 
 // @route   GET /api/gallery
-// @desc    Get all gallery images
+// @desc    Get gallery images (paginated)
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const galleryItems = await Gallery.find({ isActive: true }).sort({ order: 1, createdAt: -1 });
-    res.json(galleryItems);
+    const query = { isActive: true };
+    if (req.query.category) query.category = req.query.category;
+
+    const result = await paginate(Gallery, query, req.query, {
+      sortable: GALLERY_SORTABLE,
+      selectable: GALLERY_SELECTABLE,
+      defaultSort: 'order,-createdAt'
+    });
+    res.json(result);
   } catch (error) {
     console.error('Get gallery error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       success: false,
       message: 'Failed to fetch gallery', 
       error: error.message 
@@ -22,9 +34,9 @@ router.get('/', async (req, res) => {
 });
 
 // @route   POST /api/gallery
-// @desc    Upload gallery images (Admin only) - With Cloudinary
-// @access  Private/Admin
-router.post('/', authenticateToken, isAdmin, upload.array('images', 10), async (req, res) => {
+// @desc    Upload gallery images - With Cloudinary
+// @access  Private (gallery:write)
+router.post('/', authenticateToken, requirePermission('gallery:write'), upload.array('images', 10), async (req, res) => {
   try {
     console.log('📸 Upload request received');
     console.log('Files:', req.files ? req.files.length : 0);
@@ -40,14 +52,14 @@ router.post('/', authenticateToken, isAdmin, upload.array('images', 10), async (
 
     for (const file of req.files) {
       const galleryItem = new Gallery({
-        title: { en: '', ar: '', es: '' },
-        description: { en: '', ar: '', es: '' },
+        title: emptyTranslation(),
+        description: emptyTranslation(),
         imageUrl: file.path, // Cloudinary URL
         publicId: file.filename, // Cloudinary public ID
         category: 'general',
         order: 0,
         isActive: true,
-        uploadedBy: req.user.userId
+        uploadedBy: req.user._id
       });
       
       await galleryItem.save();
@@ -74,8 +86,8 @@ router.post('/', authenticateToken, isAdmin, upload.array('images', 10), async (
 
 // @route   PUT /api/gallery/:id
 // @desc    Update gallery image info
-// @access  Private/Admin
-router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
+// @access  Private (gallery:write)
+router.put('/:id', authenticateToken, requirePermission('gallery:write'), async (req, res) => {
   try {
     const { title, description, category, order, isActive } = req.body;
     
@@ -108,9 +120,9 @@ router.put('/:id', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // @route   DELETE /api/gallery/:id
-// @desc    Delete gallery image (Admin only) - Delete from Cloudinary
-// @access  Private/Admin
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+// @desc    Delete gallery image - Delete from Cloudinary
+// @access  Private (gallery:write)
+router.delete('/:id', authenticateToken, requirePermission('gallery:write'), async (req, res) => {
   try {
     const galleryItem = await Gallery.findById(req.params.id);
     
@@ -0,0 +1,407 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const StockLevel = require('../models/StockLevel');
+const StockMovement = require('../models/StockMovement');
+const { MOVEMENT_TYPES } = require('../models/StockMovement');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const {
+  receiveStock,
+  adjustStock,
+  transferStock,
+  backfillStockLevels,
+  lowStockThreshold,
+  normalizeSku
+} = require('../services/inventory');
+
+const LEVEL_SORTABLE = ['updatedAt', 'onHand', 'reserved'];
+const LEVEL_SELECTABLE = ['product', 'sku', 'warehouse', 'onHand', 'reserved', 'createdAt', 'updatedAt'];
+const MOVEMENT_SORTABLE = ['createdAt', 'type'];
+const MOVEMENT_SELECTABLE = [
+  'product', 'sku', 'warehouse', 'type', 'onHandChange', 'reservedChange', 'onHandAfter', 'reservedAfter',
+  'reason', 'reference', 'order', 'transferId', 'createdBy', 'createdAt'
+];
+const WAREHOUSE_FIELDS = ['code', 'name', 'address', 'isDefault', 'isActive'];
+
+const pickWarehouseFields = (body) => Object.fromEntries(
+  Object.entries(body || {}).filter(([field]) => WAREHOUSE_FIELDS.includes(field))
+);
+
+const handleInventoryError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path}`
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A warehouse with this code already exists'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// ========================================
+// WAREHOUSES
+// ========================================
+
+// @route   GET /api/inventory/warehouses
+// @desc    List warehouses (default first)
+// @access  Private (inventory:read)
+router.get('/warehouses', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    await Warehouse.getDefault();
+    const warehouses = await Warehouse.find().sort({ isDefault: -1, code: 1 });
+
+    res.json({
+      success: true,
+      warehouses
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to fetch warehouses');
+  }
+});
+
+// @route   POST /api/inventory/warehouses
+// @desc    Create a warehouse
+// @access  Private (inventory:write)
+router.post('/warehouses', authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const warehouse = await Warehouse.create(pickWarehouseFields(req.body));
+
+    console.log('🏭 Warehouse created:', warehouse.code, 'by', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: 'Warehouse created successfully',
+      warehouse
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to create warehouse');
+  }
+});
+
+// @route   PUT /api/inventory/warehouses/:id
+// @desc    Update a warehouse (inactive warehouses are skipped by reservations)
+// @access  Private (inventory:write)
+router.put('/warehouses/:id', authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found'
+      });
+    }
+
+    const updates = pickWarehouseFields(req.body);
+    if (warehouse.isDefault && (updates.isDefault === false || updates.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Make another warehouse the default first'
+      });
+    }
+
+    const holdsStock = await StockLevel.exists({
+      warehouse: warehouse._id,
+      $or: [{ onHand: { $gt: 0 } }, { reserved: { $gt: 0 } }]
+    });
+    if (updates.isActive === false && warehouse.isActive && holdsStock) {
+      return res.status(409).json({
+        success: false,
+        message: 'The warehouse still holds stock. Transfer or adjust it first.'
+      });
+    }
+
+    warehouse.set(updates);
+    await warehouse.save();
+
+    console.log('🏭 Warehouse updated:', warehouse.code, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      warehouse
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to update warehouse');
+  }
+});
+
+// ========================================
+// STOCK LEVELS & REPORTS
+// ========================================
+
+// @route   GET /api/inventory/levels
+// @desc    Stock levels per product / SKU and warehouse (?product=&sku=&warehouse=)
+// @access  Private (inventory:read)
+router.get('/levels', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { product, sku, warehouse } = req.query;
+    const filter = {};
+
+    if (product) filter.product = product;
+    if (sku) filter.sku = normalizeSku(sku);
+    if (warehouse) filter.warehouse = warehouse;
+
+    const result = await paginate(StockLevel, filter, req.query, {
+      sortable: LEVEL_SORTABLE,
+      selectable: LEVEL_SELECTABLE,
+      defaultSort: '-updatedAt',
+      populate: [
+        { path: 'product', select: 'name category' },
+        { path: 'warehouse', select: 'code name' }
+      ]
+    });
+
+    res.json(result);
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to fetch stock levels');
+  }
+});
+
+// @route   GET /api/inventory/low-stock
+// @desc    Products and variants at or below their low-stock threshold
+// @access  Private (inventory:read)
+router.get('/low-stock', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const products = await Product.find({
+      $or: [
+        { lowStockThreshold: { $ne: null } },
+        { variants: { $elemMatch: { lowStockThreshold: { $ne: null } } } }
+      ]
+    }).select('name category stock lowStockThreshold variants isActive');
+
+    const items = [];
+    for (const product of products) {
+      const units = product.variants.length > 0
+        ? product.variants.map(variant => ({ variant, sku: variant.sku, available: variant.stock }))
+        : [{ variant: null, sku: null, available: product.stock }];
+
+      for (const { variant, sku, available } of units) {
+        const limit = lowStockThreshold(product, variant);
+        if (limit === undefined || limit === null || available > limit) continue;
+
+        items.push({
+          product: { _id: product._id, name: product.name, category: product.category, isActive: product.isActive },
+          sku,
+          available,
+          threshold: limit
+        });
+      }
+    }
+
+    items.sort((a, b) => (a.available - a.threshold) - (b.available - b.threshold));
+
+    res.json({
+      success: true,
+      total: items.length,
+      items
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to build low-stock report');
+  }
+});
+
+// @route   GET /api/inventory/products/:productId
+// @desc    Stock of a product per SKU and warehouse: on hand, reserved, available
+// @access  Private (inventory:read)
+router.get('/products/:productId', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('name stock lowStockThreshold variants');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const levels = await StockLevel.find({ product: product._id }).populate('warehouse', 'code name isActive');
+    const unitOf = (sku) => {
+      const onSku = levels.filter(level => level.sku === sku);
+      return {
+        onHand: onSku.reduce((total, level) => total + level.onHand, 0),
+        reserved: onSku.reduce((total, level) => total + level.reserved, 0),
+        available: onSku.reduce((total, level) => total + level.available, 0),
+        warehouses: onSku.map(level => ({
+          warehouse: level.warehouse,
+          onHand: level.onHand,
+          reserved: level.reserved,
+          available: level.available
+        }))
+      };
+    };
+
+    const units = product.variants.length > 0
+      ? product.variants.map(variant => ({
+        sku: variant.sku,
+        label: variant.label,
+        isActive: variant.isActive,
+        threshold: lowStockThreshold(product, variant),
+        ...unitOf(variant.sku)
+      }))
+      : [{ sku: null, threshold: lowStockThreshold(product), ...unitOf(null) }];
+
+    res.json({
+      success: true,
+      product: { _id: product._id, name: product.name, stock: product.stock },
+      units
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to fetch product stock');
+  }
+});
+
+// ========================================
+// MOVEMENTS (LEDGER)
+// ========================================
+
+// @route   GET /api/inventory/movements
+// @desc    Movement ledger (?product=&sku=&warehouse=&type=&order=&user=&from=&to=)
+// @access  Private (inventory:read)
+router.get('/movements', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { product, sku, warehouse, type, order, user, from, to } = req.query;
+    const filter = {};
+
+    if (product) filter.product = product;
+    if (sku) filter.sku = normalizeSku(sku);
+    if (warehouse) filter.warehouse = warehouse;
+    if (order) filter.order = order;
+    if (user) filter.createdBy = user;
+    if (type) {
+      if (!MOVEMENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid movement type. Allowed: ${MOVEMENT_TYPES.join(', ')}`
+        });
+      }
+      filter.type = type;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const result = await paginate(StockMovement, filter, req.query, {
+      sortable: MOVEMENT_SORTABLE,
+      selectable: MOVEMENT_SELECTABLE,
+      defaultSort: '-createdAt',
+      populate: [
+        { path: 'product', select: 'name' },
+        { path: 'warehouse', select: 'code name' },
+        { path: 'order', select: 'orderNumber status' },
+        { path: 'createdBy', select: 'email firstName lastName' }
+      ]
+    });
+
+    res.json(result);
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to fetch stock movements');
+  }
+});
+
+// @route   POST /api/inventory/receipts
+// @desc    Receive goods ({ product, sku?, warehouse?, quantity, reason?, reference? })
+// @access  Private (inventory:write)
+router.post('/receipts', authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { level, movement } = await receiveStock(req.body, req.user._id);
+
+    console.log(`📦 Received ${movement.onHandChange} × ${movement.sku || movement.product} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock received',
+      level,
+      movement
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to receive stock');
+  }
+});
+
+// @route   POST /api/inventory/adjustments
+// @desc    Correct stock ({ product, sku?, warehouse?, quantity (±) | countedQuantity, reason, reference? })
+// @access  Private (inventory:write)
+router.post('/adjustments', authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { level, movement } = await adjustStock(req.body, req.user._id);
+
+    console.log(`📦 Adjusted ${movement.sku || movement.product} by ${movement.onHandChange} (${movement.reason}) by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock adjusted',
+      level,
+      movement
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to adjust stock');
+  }
+});
+
+// @route   POST /api/inventory/transfers
+// @desc    Move available stock between warehouses ({ product, sku?, from, to, quantity, reason? })
+// @access  Private (inventory:write)
+router.post('/transfers', authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { transferId, movements } = await transferStock(req.body, req.user._id);
+
+    console.log(`📦 Transferred ${movements[1].onHandChange} × ${movements[0].sku || movements[0].product} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transferred',
+      transferId,
+      movements
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to transfer stock');
+  }
+});
+
+// @route   POST /api/inventory/backfill
+// @desc    Record opening stock for products stocked before the inventory ledger (safe to re-run)
+// @access  Private (inventory:write)
+router.post('/backfill', authenticateToken, requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { backfilled, errors } = await backfillStockLevels(req.user._id);
+
+    console.log(`📦 Recorded opening stock for ${backfilled} product(s) by ${req.user.email}`);
+
+    res.json({
+      success: errors.length === 0,
+      message: `Recorded opening stock for ${backfilled} product(s)`,
+      backfilled,
+      errors
+    });
+  } catch (error) {
+    handleInventoryError(res, error, 'Failed to backfill stock levels');
+  }
+});
+
+module.exports = router;
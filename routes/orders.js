@@ -0,0 +1,478 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Quotation = require('../models/Quotation');
+const {
+  authenticateToken,
+  requirePermission,
+  requireOrganizationPermission,
+  can,
+  canInOrganization,
+  sharesOrganization
+} = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const { pickTranslations } = require('../config/locales');
+const { notifyOrderStatus } = require('../services/mail');
+const { pricingContext, createPriceResolver } = require('../services/pricing');
+const { reserveOrderStock, releaseOrderStock, shipOrderStock } = require('../services/inventory');
+
+const ORDER_SORTABLE = ['createdAt', 'updatedAt', 'status', 'subtotal', 'orderNumber'];
+const ORDER_SELECTABLE = [
+  'orderNumber', 'customer', 'organization', 'quotation', 'items', 'currency', 'subtotal', 'incoterm',
+  'shippingAddress', 'shipment', 'status', 'statusHistory', 'customerNotes', 'createdAt', 'updatedAt'
+];
+
+const isOwner = (order, user) =>
+  order.customer && order.customer.toString() === user._id.toString();
+
+// Customer, or a colleague whose organization role covers `permission`
+const canAccessOrder = (order, req, permission) =>
+  isOwner(order, req.user) || sharesOrganization(req, order.organization, permission);
+
+// ✅ Place the order: reserve stock first, then persist (and release it if saving fails)
+const placeOrder = async (orderData, userId) => {
+  const order = new Order(orderData);
+
+  const validationError = order.validateSync();
+  if (validationError) throw validationError;
+
+  await reserveOrderStock(order, userId);
+
+  try {
+    await order.save();
+  } catch (error) {
+    await releaseOrderStock(order, userId, 'Order could not be saved');
+    throw error;
+  }
+
+  return order;
+};
+
+// ✅ Claim a status change before moving stock: only the request whose
+// update still finds the old status goes on, a concurrent one gets a 409.
+// The claim is undone if moving the stock fails (caller saves the order).
+const claimTransition = async (order, status, moveStock) => {
+  const previous = order.status;
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, status: previous },
+    { $set: { status } },
+    { projection: { _id: 1 } }
+  );
+
+  if (!claimed) {
+    const error = new Error('The order was updated in the meantime. Please reload it and try again.');
+    error.status = 409;
+    throw error;
+  }
+
+  try {
+    await moveStock();
+  } catch (error) {
+    await Order.updateOne({ _id: order._id, status }, { $set: { status: previous } });
+    throw error;
+  }
+};
+
+const handleOrderError = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  res.status(error.status || 400).json({
+    success: false,
+    message: error.message || fallbackMessage
+  });
+};
+
+// @route   POST /api/orders
+// @desc    Place a direct order against active products (per variant SKU where the product has variants) at the buyer's resolved prices
+// @access  Private (org members: orders:place)
+router.post('/', authenticateToken, requireOrganizationPermission('orders:place'), async (req, res) => {
+  try {
+    const { items, shippingAddress, incoterm, customerNotes } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one product line is required'
+      });
+    }
+
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.product) },
+      isActive: true
+    }).select('+wholesalePrice');
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+    const resolvePrice = await createPriceResolver(pricingContext(req), products);
+
+    const orderItems = [];
+    let currency = null;
+    for (const [index, item] of items.entries()) {
+      const product = productMap.get(String(item.product));
+
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${index + 1}: product not found or inactive`
+        });
+      }
+
+      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${index + 1}: quantity must be a whole number of at least 1`
+        });
+      }
+
+      const variant = product.variantForLine(item.sku, index + 1);
+      const pricing = resolvePrice(product, item.quantity, variant);
+
+      if (!pricing) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${index + 1}: product has no list price, please request a quotation`
+        });
+      }
+
+      if (item.quantity < pricing.minOrderQuantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${index + 1}: minimum order quantity is ${pricing.minOrderQuantity}`
+        });
+      }
+
+      // One currency per order - mixed price lists need a quotation
+      if (currency && pricing.currency !== currency) {
+        return res.status(400).json({
+          success: false,
+          message: `Line ${index + 1}: priced in ${pricing.currency}, other lines in ${currency}. Please request a quotation.`
+        });
+      }
+      currency = pricing.currency;
+
+      orderItems.push({
+        product: product._id,
+        sku: variant ? variant.sku : undefined,
+        productName: pickTranslations(product.name),
+        quantity: item.quantity,
+        unitPrice: pricing.unitPrice,
+        packaging: item.packaging
+      });
+    }
+
+    const order = await placeOrder({
+      customer: req.user._id,
+      organization: req.organization ? req.organization._id : undefined,
+      items: orderItems,
+      currency,
+      shippingAddress: shippingAddress || req.user.address,
+      incoterm,
+      customerNotes
+    }, req.user._id);
+
+    console.log('✅ Order placed:', order.orderNumber, 'by', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      order
+    });
+  } catch (error) {
+    console.error('❌ Create order error:', error);
+    handleOrderError(res, error, 'Failed to place order');
+  }
+});
+
+// @route   POST /api/orders/from-quotation/:quotationId
+// @desc    Convert an accepted quotation into an order at the quoted prices
+// @access  Private (requester or org members with orders:place)
+router.post('/from-quotation/:quotationId', authenticateToken, async (req, res) => {
+  try {
+    const quotation = await Quotation.findById(req.params.quotationId);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const isRequester = quotation.requestedBy.toString() === req.user._id.toString();
+    const allowed = can(req, 'orders:write') ||
+      sharesOrganization(req, quotation.organization, 'orders:place') ||
+      (isRequester && canInOrganization(req, 'orders:place'));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (quotation.status !== 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only accepted quotations can be converted into orders'
+      });
+    }
+
+    const existingOrder = await Order.findOne({ quotation: quotation._id });
+    if (existingOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'An order already exists for this quotation',
+        orderId: existingOrder._id
+      });
+    }
+
+    const order = await placeOrder({
+      customer: quotation.requestedBy,
+      organization: quotation.organization,
+      quotation: quotation._id,
+      items: quotation.items.map(item => ({
+        product: item.product,
+        sku: item.sku,
+        productName: item.productName,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        packaging: item.packaging
+      })),
+      currency: quotation.currency,
+      incoterm: quotation.incoterm,
+      shippingAddress: req.body.shippingAddress || {
+        country: quotation.destination && quotation.destination.country,
+        port: quotation.destination && quotation.destination.port
+      },
+      customerNotes: req.body.customerNotes
+    }, req.user._id);
+
+    console.log('✅ Order placed from quotation:', quotation.quoteNumber, '→', order.orderNumber);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      order
+    });
+  } catch (error) {
+    // Lost a race with a concurrent conversion (placeOrder released the stock)
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An order already exists for this quotation'
+      });
+    }
+    console.error('❌ Order from quotation error:', error);
+    handleOrderError(res, error, 'Failed to place order');
+  }
+});
+
+// @route   GET /api/orders/mine
+// @desc    Get orders of the current user (and of their organization with orders:view)
+// @access  Private
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const filter = req.organization && canInOrganization(req, 'orders:view')
+      ? { $or: [{ customer: req.user._id }, { organization: req.organization._id }] }
+      : { customer: req.user._id };
+
+    const result = await paginate(Order, filter, req.query, {
+      sortable: ORDER_SORTABLE,
+      selectable: ORDER_SELECTABLE,
+      defaultSort: '-createdAt',
+      select: '-adminNotes'
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Get my orders error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders
+// @desc    Get all orders
+// @access  Private (orders:read)
+router.get('/', authenticateToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { status, customer, organization } = req.query;
+    const query = {};
+
+    if (status) query.status = status;
+    if (customer) query.customer = customer;
+    if (organization) query.organization = organization;
+
+    const result = await paginate(Order, query, req.query, {
+      sortable: ORDER_SORTABLE,
+      selectable: [...ORDER_SELECTABLE, 'adminNotes'],
+      defaultSort: '-createdAt',
+      populate: { path: 'customer', select: 'email userType companyName firstName lastName' }
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('❌ Get orders error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders/:id
+// @desc    Get single order (owner, org members with orders:view, or orders:read)
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('items.product', 'name images category')
+      .populate('statusHistory.changedBy', 'email firstName lastName companyName');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const staff = can(req, 'orders:read');
+    if (!staff && !canAccessOrder(order, req, 'orders:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const data = order.toObject();
+    if (!staff) delete data.adminNotes;
+
+    res.json({
+      success: true,
+      order: data
+    });
+  } catch (error) {
+    console.error('❌ Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/orders/:id/status
+// @desc    Progress order status (confirmed → production → shipped → delivered)
+// @access  Private (orders:write)
+router.patch('/:id/status', authenticateToken, requirePermission('orders:write'), async (req, res) => {
+  try {
+    const { status, note, shipment, adminNotes } = req.body;
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order from '${order.status}' to '${status}'`
+      });
+    }
+
+    if (shipment) {
+      const { carrier, trackingNumber, containerNumber, estimatedDeparture, estimatedArrival } = shipment;
+      if (carrier !== undefined) order.shipment.carrier = carrier;
+      if (trackingNumber !== undefined) order.shipment.trackingNumber = trackingNumber;
+      if (containerNumber !== undefined) order.shipment.containerNumber = containerNumber;
+      if (estimatedDeparture !== undefined) order.shipment.estimatedDeparture = estimatedDeparture;
+      if (estimatedArrival !== undefined) order.shipment.estimatedArrival = estimatedArrival;
+    }
+    if (adminNotes !== undefined) order.adminNotes = adminNotes;
+
+    await claimTransition(order, status, async () => {
+      if (status === 'cancelled') {
+        await releaseOrderStock(order, req.user._id, `Order ${order.orderNumber} cancelled`);
+      }
+      if (status === 'shipped') {
+        await shipOrderStock(order, req.user._id);
+      }
+    });
+
+    order.setStatus(status, req.user._id, note);
+    await order.save();
+
+    console.log(`✅ Order ${order.orderNumber} → ${status}`);
+
+    notifyOrderStatus(order, note).catch(error => {
+      console.error('❌ Order notification error:', error.message);
+    });
+
+    res.json({
+      success: true,
+      message: `Order status updated to ${status}`,
+      order
+    });
+  } catch (error) {
+    console.error('❌ Order status error:', error);
+    handleOrderError(res, error, 'Failed to update order status');
+  }
+});
+
+// @route   PATCH /api/orders/:id/cancel
+// @desc    Cancel own (or organization) order while it is still pending
+// @access  Private (owner or org members with orders:cancel)
+router.patch('/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(order, req, 'orders:cancel')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending orders can be cancelled. Please contact sales.'
+      });
+    }
+
+    await claimTransition(order, 'cancelled', () =>
+      releaseOrderStock(order, req.user._id, `Order ${order.orderNumber} cancelled by customer`));
+    order.setStatus('cancelled', req.user._id, req.body.reason);
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      order
+    });
+  } catch (error) {
+    console.error('❌ Cancel order error:', error);
+    handleOrderError(res, error, 'Failed to cancel order');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,526 @@
+const express = require('express');
+const router = express.Router();
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const {
+  authenticateToken,
+  requirePermission,
+  requireOrganizationPermission
+} = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const { sendOrganizationInvitation } = require('../services/mail');
+
+const { ORGANIZATION_ROLES, ASSIGNABLE_ROLES } = Organization;
+
+const MAX_PENDING_INVITATIONS = 20;
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'zipCode'];
+const MEMBER_FIELDS = 'email contactPerson phone isActive lastLogin';
+
+const ORGANIZATION_SORTABLE = ['createdAt', 'updatedAt', 'name', 'verificationStatus'];
+const ORGANIZATION_SELECTABLE = [
+  'name', 'registrationNumber', 'taxId', 'phone', 'address', 'verificationStatus',
+  'members', 'createdAt', 'updatedAt'
+];
+
+const handleOrganizationError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// Never expose token hashes
+const serializeInvitation = (invitation) => ({
+  id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt
+});
+
+// ✅ Self-service routes need an organization (company accounts)
+const requireMembership = (req, res, next) => {
+  if (!req.organization || !req.membership) {
+    return res.status(404).json({
+      success: false,
+      message: 'Your account does not belong to an organization'
+    });
+  }
+  next();
+};
+
+// Fresh copy of the caller's organization, including invitations
+const loadOwnOrganization = (req) =>
+  Organization.findById(req.organization._id).select('+invitations');
+
+// Admins are appointed and removed by the owner only
+const ensureCanManageRole = (req, role) => {
+  if (role === 'admin' && req.membership.role !== 'owner') {
+    const error = new Error('Only the organization owner can manage admins');
+    error.status = 403;
+    throw error;
+  }
+};
+
+// ========================================
+// MEMBERS (SELF-SERVICE)
+// ========================================
+
+// @route   GET /api/organizations/me
+// @desc    Own organization, members, own role (and pending invitations with members:manage)
+// @access  Private (organization members)
+router.get('/me', authenticateToken, requireMembership, async (req, res) => {
+  try {
+    const organization = await loadOwnOrganization(req);
+    const { role } = organization.getMember(req.user._id);
+    const permissions = ORGANIZATION_ROLES[role];
+    const canManageMembers = permissions.includes('members:manage');
+
+    await organization.populate('members.user', MEMBER_FIELDS);
+
+    const now = new Date();
+    const data = organization.toObject();
+    delete data.invitations;
+
+    res.json({
+      success: true,
+      organization: data,
+      role,
+      permissions,
+      roles: ORGANIZATION_ROLES,
+      invitations: canManageMembers
+        ? organization.invitations.filter(invitation => invitation.expiresAt > now).map(serializeInvitation)
+        : undefined
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to fetch organization');
+  }
+});
+
+// @route   PUT /api/organizations/me
+// @desc    Update company name, phone and address
+// @access  Private (organization:manage)
+router.put('/me', authenticateToken, requireMembership, requireOrganizationPermission('organization:manage'), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organization._id);
+    const { name, phone, address } = req.body;
+
+    if (name !== undefined) organization.name = name;
+    if (phone !== undefined) organization.phone = phone;
+    if (address && typeof address === 'object') {
+      ADDRESS_FIELDS
+        .filter(field => address[field] !== undefined)
+        .forEach(field => organization.set(`address.${field}`, address[field]));
+    }
+
+    await organization.save();
+
+    // Member accounts carry the company name for quotes, emails and invoices
+    if (name !== undefined) {
+      await User.updateMany({ organization: organization._id }, { $set: { companyName: organization.name } });
+    }
+
+    console.log('🏢 Organization updated:', organization.name, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      organization
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to update organization');
+  }
+});
+
+// @route   POST /api/organizations/me/invitations
+// @desc    Invite a colleague by email ({ email, role, locale })
+// @access  Private (members:manage)
+router.post('/me/invitations', authenticateToken, requireMembership, requireOrganizationPermission('members:manage'), async (req, res) => {
+  try {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const { role, locale } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed: ${ASSIGNABLE_ROLES.join(', ')}`
+      });
+    }
+
+    ensureCanManageRole(req, role);
+
+    if (await User.exists({ email })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email already has an account. Invitations are for new logins only.'
+      });
+    }
+
+    const organization = await loadOwnOrganization(req);
+
+    // Drop expired invitations while we're here
+    const now = new Date();
+    organization.invitations = organization.invitations.filter(invitation => invitation.expiresAt > now);
+
+    const pending = organization.invitations.filter(invitation => invitation.email !== email);
+    if (pending.length >= MAX_PENDING_INVITATIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `An organization can have at most ${MAX_PENDING_INVITATIONS} pending invitations`
+      });
+    }
+
+    const token = organization.createInvitation(email, role, req.user._id);
+    await organization.save();
+
+    const invitation = organization.invitations.find(entry => entry.email === email);
+
+    // The invitation stays valid if the email fails - inviting again resends it
+    let emailSent = true;
+    try {
+      await sendOrganizationInvitation(organization, invitation, token, req.user, locale);
+    } catch (error) {
+      emailSent = false;
+      console.error('❌ Failed to send organization invitation:', error.message);
+    }
+
+    console.log(`✉️ ${email} invited to ${organization.name} as ${role} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+      emailSent,
+      invitation: serializeInvitation(invitation)
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to send invitation');
+  }
+});
+
+// @route   DELETE /api/organizations/me/invitations/:invitationId
+// @desc    Withdraw a pending invitation
+// @access  Private (members:manage)
+router.delete('/me/invitations/:invitationId', authenticateToken, requireMembership, requireOrganizationPermission('members:manage'), async (req, res) => {
+  try {
+    const organization = await loadOwnOrganization(req);
+    const invitation = organization.invitations.id(req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    invitation.deleteOne();
+    await organization.save();
+
+    res.json({
+      success: true,
+      message: 'Invitation withdrawn'
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to withdraw invitation');
+  }
+});
+
+// @route   PATCH /api/organizations/me/members/:userId
+// @desc    Change a member's organization role ({ role })
+// @access  Private (members:manage)
+router.patch('/me/members/:userId', authenticateToken, requireMembership, requireOrganizationPermission('members:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Allowed: ${ASSIGNABLE_ROLES.join(', ')}`
+      });
+    }
+
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const organization = await Organization.findById(req.organization._id);
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: "The owner's role cannot be changed"
+      });
+    }
+
+    ensureCanManageRole(req, member.role);
+    ensureCanManageRole(req, role);
+
+    member.role = role;
+    await organization.save();
+
+    console.log(`🏢 ${organization.name}: member ${req.params.userId} → ${role} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Member role updated',
+      member
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to update member role');
+  }
+});
+
+// @route   DELETE /api/organizations/me/members/:userId
+// @desc    Remove a member - their login is deactivated and signed out
+// @access  Private (members:manage)
+router.delete('/me/members/:userId', authenticateToken, requireMembership, requireOrganizationPermission('members:manage'), async (req, res) => {
+  try {
+    if (req.params.userId === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove yourself'
+      });
+    }
+
+    const organization = await Organization.findById(req.organization._id);
+    const member = organization.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot be removed'
+      });
+    }
+
+    ensureCanManageRole(req, member.role);
+
+    organization.members = organization.members.filter(entry => entry !== member);
+    await organization.save();
+
+    // Member logins only exist within their organization
+    await User.updateOne({ _id: member.user }, { $set: { isActive: false } });
+    await Session.revokeAllForUser(member.user, 'revoked');
+
+    console.log(`🏢 ${organization.name}: member ${member.user} removed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed and their login deactivated'
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to remove member');
+  }
+});
+
+// ========================================
+// INVITATIONS (PUBLIC)
+// ========================================
+
+// @route   GET /api/organizations/invitations/:token
+// @desc    Invitation details for the accept page
+// @access  Public
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const found = await Organization.findByInvitationToken(req.params.token);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      invitation: {
+        email: found.invitation.email,
+        role: found.invitation.role,
+        expiresAt: found.invitation.expiresAt,
+        organizationName: found.organization.name
+      }
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to fetch invitation');
+  }
+});
+
+// @route   POST /api/organizations/invitations/:token/accept
+// @desc    Create the invited login ({ password, contactPerson, phone, preferredLanguage })
+// @access  Public
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    const found = await Organization.findByInvitationToken(req.params.token);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const { organization, invitation } = found;
+    const { password, contactPerson, phone, preferredLanguage } = req.body;
+
+    if (await User.exists({ email: invitation.email })) {
+      return res.status(409).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const user = new User({
+      email: invitation.email,
+      password,
+      userType: 'company',
+      companyName: organization.name,
+      contactPerson,
+      phone,
+      address: organization.toObject().address,
+      preferredLanguage,
+      organization: organization._id,
+      // The token proves ownership of the mailbox
+      emailVerified: true
+    });
+
+    await user.save();
+
+    // Membership and invitation change in one update that only matches while
+    // the invitation is unused; otherwise the new login is removed again
+    let joined;
+    try {
+      joined = await Organization.updateOne(
+        { _id: organization._id, 'invitations._id': invitation._id },
+        {
+          $push: { members: { user: user._id, role: invitation.role, invitedBy: invitation.invitedBy } },
+          $pull: { invitations: { _id: invitation._id } }
+        }
+      );
+    } catch (error) {
+      await User.deleteOne({ _id: user._id });
+      throw error;
+    }
+
+    if (joined.modifiedCount === 0) {
+      await User.deleteOne({ _id: user._id });
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    console.log(`✅ ${user.email} joined ${organization.name} as ${invitation.role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. You can now log in.',
+      user: {
+        id: user._id,
+        email: user.email
+      },
+      organization: {
+        id: organization._id,
+        name: organization.name,
+        role: invitation.role
+      }
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to accept invitation');
+  }
+});
+
+// ========================================
+// STAFF
+// ========================================
+
+// @route   GET /api/organizations
+// @desc    List organizations (?search=, ?verificationStatus=)
+// @access  Private (companies:read)
+router.get('/', authenticateToken, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const { search, verificationStatus } = req.query;
+    const filter = {};
+
+    if (verificationStatus) filter.verificationStatus = verificationStatus;
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { registrationNumber: pattern }, { taxId: pattern }];
+    }
+
+    const result = await paginate(Organization, filter, req.query, {
+      sortable: ORGANIZATION_SORTABLE,
+      selectable: ORGANIZATION_SELECTABLE,
+      defaultSort: '-createdAt'
+    });
+
+    res.json(result);
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to fetch organizations');
+  }
+});
+
+// @route   GET /api/organizations/:id
+// @desc    Organization with members and pending invitations
+// @access  Private (companies:read)
+router.get('/:id', authenticateToken, requirePermission('companies:read'), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id)
+      .select('+invitations')
+      .populate('members.user', MEMBER_FIELDS);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        message: 'Organization not found'
+      });
+    }
+
+    const data = organization.toObject();
+    data.invitations = organization.invitations.map(serializeInvitation);
+
+    res.json({
+      success: true,
+      organization: data
+    });
+  } catch (error) {
+    handleOrganizationError(res, error, 'Failed to fetch organization');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Organization = require('../models/Organization');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const { createPriceResolver } = require('../services/pricing');
+
+const PRICE_LIST_SORTABLE = ['createdAt', 'updatedAt', 'name', 'priority', 'validFrom', 'validUntil'];
+const PRICE_LIST_SELECTABLE = [
+  'name', 'description', 'currency', 'organizations', 'countries', 'items', 'priority',
+  'validFrom', 'validUntil', 'isActive', 'createdAt', 'updatedAt'
+];
+const EDITABLE_FIELDS = [
+  'name', 'description', 'currency', 'organizations', 'countries', 'items', 'priority',
+  'validFrom', 'validUntil', 'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  Object.entries(body || {}).filter(([field]) => EDITABLE_FIELDS.includes(field))
+);
+
+const handlePriceListError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path}`
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// @route   GET /api/price-lists
+// @desc    List price lists (?organization=, ?country=, ?product=, ?active=)
+// @access  Private (pricing:read)
+router.get('/', authenticateToken, requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const { organization, country, product, active } = req.query;
+    const filter = {};
+
+    if (organization) filter.organizations = organization;
+    if (country) filter.countries = String(country).toUpperCase();
+    if (product) filter['items.product'] = product;
+    if (active === 'true') filter.isActive = true;
+    if (active === 'false') filter.isActive = false;
+
+    const result = await paginate(PriceList, filter, req.query, {
+      sortable: PRICE_LIST_SORTABLE,
+      selectable: PRICE_LIST_SELECTABLE,
+      defaultSort: '-priority,name',
+      populate: { path: 'organizations', select: 'name' }
+    });
+
+    res.json(result);
+  } catch (error) {
+    handlePriceListError(res, error, 'Failed to fetch price lists');
+  }
+});
+
+// @route   GET /api/price-lists/resolve
+// @desc    Preview the price a buyer would get (?product=&sku=&organization=&country=&quantity=)
+// @access  Private (pricing:read)
+router.get('/resolve', authenticateToken, requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const { organization: organizationId, country } = req.query;
+    const quantity = parseInt(req.query.quantity, 10) || undefined;
+
+    const product = await Product.findById(req.query.product).select('+wholesalePrice');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const variant = req.query.sku ? product.getVariant(req.query.sku) : null;
+    if (req.query.sku && !variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    let organization = null;
+    if (organizationId) {
+      organization = await Organization.findById(organizationId).select('name verificationStatus');
+      if (!organization) {
+        return res.status(404).json({
+          success: false,
+          message: 'Organization not found'
+        });
+      }
+    }
+
+    const resolve = await createPriceResolver({
+      organizationId: organization && organization._id,
+      country: country ? String(country).toUpperCase() : null,
+      verifiedBuyer: !!organization && organization.isVerified
+    }, [product]);
+
+    res.json({
+      success: true,
+      product: product._id,
+      sku: variant ? variant.sku : null,
+      organization: organization && { id: organization._id, name: organization.name },
+      country: country ? String(country).toUpperCase() : null,
+      quantity: quantity || null,
+      pricing: resolve(product, quantity, variant)
+    });
+  } catch (error) {
+    handlePriceListError(res, error, 'Failed to resolve price');
+  }
+});
+
+// @route   GET /api/price-lists/:id
+// @desc    Price list with organization and product names
+// @access  Private (pricing:read)
+router.get('/:id', authenticateToken, requirePermission('pricing:read'), async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id)
+      .populate('organizations', 'name')
+      .populate('items.product', 'name category price currency');
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      priceList
+    });
+  } catch (error) {
+    handlePriceListError(res, error, 'Failed to fetch price list');
+  }
+});
+
+// @route   POST /api/price-lists
+// @desc    Create a price list
+// @access  Private (pricing:write)
+router.post('/', authenticateToken, requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const priceList = await PriceList.create({
+      ...pickEditable(req.body),
+      updatedBy: req.user._id
+    });
+
+    console.log('💲 Price list created:', priceList.name, 'by', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: 'Price list created successfully',
+      priceList
+    });
+  } catch (error) {
+    handlePriceListError(res, error, 'Failed to create price list');
+  }
+});
+
+// @route   PUT /api/price-lists/:id
+// @desc    Update a price list (items are replaced as a whole)
+// @access  Private (pricing:write)
+router.put('/:id', authenticateToken, requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const priceList = await PriceList.findById(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    priceList.set(pickEditable(req.body));
+    priceList.updatedBy = req.user._id;
+    await priceList.save();
+
+    console.log('💲 Price list updated:', priceList.name, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Price list updated successfully',
+      priceList
+    });
+  } catch (error) {
+    handlePriceListError(res, error, 'Failed to update price list');
+  }
+});
+
+// @route   DELETE /api/price-lists/:id
+// @desc    Delete a price list
+// @access  Private (pricing:write)
+router.delete('/:id', authenticateToken, requirePermission('pricing:write'), async (req, res) => {
+  try {
+    const priceList = await PriceList.findByIdAndDelete(req.params.id);
+
+    if (!priceList) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price list not found'
+      });
+    }
+
+    console.log('💲 Price list deleted:', priceList.name, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Price list deleted successfully'
+    });
+  } catch (error) {
+    handlePriceListError(res, error, 'Failed to delete price list');
+  }
+});
+
+module.exports = router;
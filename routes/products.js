@@ -1,41 +1,603 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const Product = require('../models/Product');
-const { authenticateToken, isAdmin } = require('./auth'); // ✅ Fixed
-const { upload, cloudinary } = require('../config/cloudinary');
+const StockLevel = require('../models/StockLevel');
+const Certification = require('../models/Certification');
+const { PRODUCT_DOCUMENT_TYPES, DOCUMENT_VISIBILITIES } = Product;
+const {
+  authenticateToken,
+  requirePermission,
+  optionalUser,
+  can,
+  isVerifiedBuyer,
+  requireVerifiedCompany
+} = require('../middleware/auth');
+const {
+  upload,
+  cloudinary,
+  PRODUCT_DOCUMENT_FORMATS,
+  createDocumentUpload,
+  describeUploadedDocument,
+  getSignedDownloadUrl,
+  deletePrivateDocument
+} = require('../config/cloudinary');
+const { tokenize, escapeRegex, buildSearchText, scoreProduct } = require('../utils/search');
+const { paginate } = require('../utils/query');
+const { withPricing } = require('../services/pricing');
+const { createConverter } = require('../services/currency');
+const { recordOpeningStock } = require('../services/inventory');
+const { NUMERIC_SPECIFICATIONS, ALLERGENS, getSpecificationInfo } = require('../config/specifications');
+const { exportProducts, importProducts } = require('../services/productCsv');
+const { LOCALES } = require('../config/locales');
+
+const PRODUCT_SORTABLE = [
+  'createdAt', 'updatedAt', 'order', 'sku', 'price', 'stock', ...LOCALES.map(code => `name.${code}`), 'category'
+];
+const PRODUCT_SELECTABLE = [
+  'sku', 'name', 'description', 'category', 'images', 'specifications', 'features',
+  'certifications', 'price', 'currency', 'priceTiers', 'minOrderQuantity', 'stock', 'variants', 'featured', 'order',
+  'isActive', 'createdAt', 'updatedAt'
+];
+const VARIANT_FIELDS = [
+  'sku', 'label', 'attributes', 'images', 'price', 'priceTiers', 'minOrderQuantity', 'stock', 'lowStockThreshold',
+  'isActive', 'order'
+];
+const DOCUMENT_FIELDS = ['type', 'title', 'language', 'visibility'];
+const DOWNLOAD_LINK_SECONDS = 10 * 60;
+// Text searches rank at most this many matches (in catalogue order) in memory,
+// loading only the fields scoreProduct() reads
+const MAX_SEARCH_CANDIDATES = 500;
+const SEARCH_SCORED_FIELDS = 'name description features specifications.origin sku variants.sku variants.label variants.attributes';
+
+// ✅ Wholesale prices are for verified companies and catalog staff only
+const canSeeWholesale = (req) => isVerifiedBuyer(req) || can(req, 'products:write');
+const wholesaleProjection = (req) => (canSeeWholesale(req) ? '+wholesalePrice' : '');
+
+// ========================================
+// VARIANT FILTERS
+// ========================================
+// ?sku=OG-EVOO-5L, ?inStock=true and ?variant[<attribute>]=<value>, e.g.
+// ?variant[packaging]=tin&variant[grade]=extra virgin (values match case-insensitively)
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parseVariantFilter = (query) => {
+  const attributes = {};
+
+  if (query.variant !== undefined) {
+    if (!query.variant || typeof query.variant !== 'object' || Array.isArray(query.variant)) {
+      throw badRequest('Filter variants with ?variant[<attribute>]=<value>');
+    }
+    for (const [key, value] of Object.entries(query.variant)) {
+      if (!/^[a-z][a-zA-Z0-9_]{0,29}$/.test(key) || typeof value !== 'string') {
+        throw badRequest(`Invalid variant filter '${key}'`);
+      }
+      attributes[key] = value.trim();
+    }
+  }
+
+  const filter = {
+    sku: query.sku ? String(query.sku).trim().toUpperCase() : null,
+    inStock: query.inStock === 'true',
+    attributes
+  };
+
+  return filter.sku || filter.inStock || Object.keys(attributes).length > 0 ? filter : null;
+};
+
+const hasVariantCriteria = (filter) => !!filter && (!!filter.sku || Object.keys(filter.attributes).length > 0);
+
+// ✅ Mongo conditions for products having a matching (active) variant
+const variantConditions = (filter) => {
+  if (!filter) return {};
+  if (!hasVariantCriteria(filter)) return filter.inStock ? { stock: { $gt: 0 } } : {};
+
+  const match = { isActive: true };
+  if (filter.sku) match.sku = filter.sku;
+  if (filter.inStock) match.stock = { $gt: 0 };
+  for (const [key, value] of Object.entries(filter.attributes)) {
+    match[`attributes.${key}`] = { $regex: `^${escapeRegex(value)}$`, $options: 'i' };
+  }
+
+  return { variants: { $elemMatch: match } };
+};
+
+const variantMatches = (variant, filter) => {
+  if (!hasVariantCriteria(filter)) return !filter || !filter.inStock || variant.stock > 0;
+  if (filter.sku && variant.sku !== filter.sku) return false;
+  if (filter.inStock && !(variant.stock > 0)) return false;
+
+  const attributes = variant.attributes || {};
+  return Object.entries(filter.attributes).every(([key, value]) =>
+    String(attributes[key] || '').toLowerCase() === value.toLowerCase());
+};
+
+// ========================================
+// CERTIFICATION BADGES
+// ========================================
+// Badges linked to the certifications catalogue carry the certificate's expiry
+// and status; expired or deactivated ones are only shown to catalog staff.
+
+const isCurrentBadge = (badge, now = new Date()) =>
+  badge.isActive !== false && (!badge.validUntil || new Date(badge.validUntil) > now);
+
+// ✅ Same rule as a Mongo condition (prefix 'certifications.' outside $elemMatch)
+const currentBadgeConditions = (prefix = '') => ({
+  [`${prefix}isActive`]: { $ne: false },
+  $or: [
+    { [`${prefix}validUntil`]: null },
+    { [`${prefix}validUntil`]: { $gt: new Date() } }
+  ]
+});
+
+// ========================================
+// SPECIFICATION FILTERS
+// ========================================
+// ?spec[oil.acidity][max]=0.8, ?spec[olives.caliberMin][min]=121,
+// ?spec[drainedWeight]=350 (exact), ?allergenFree=gluten,sesame (neither
+// contained nor traces) and ?hsCode=1509 (code prefix)
+
+const parseNumber = (value, label) => {
+  const number = Number(value);
+  if (value === '' || Array.isArray(value) || !Number.isFinite(number)) {
+    throw badRequest(`${label} must be a number`);
+  }
+  return number;
+};
+
+const specificationConditions = (query) => {
+  const conditions = {};
+
+  if (query.spec !== undefined) {
+    if (!query.spec || typeof query.spec !== 'object' || Array.isArray(query.spec)) {
+      throw badRequest('Filter specifications with ?spec[<key>]=<value> or ?spec[<key>][min|max]=<value>');
+    }
+    for (const [key, value] of Object.entries(query.spec)) {
+      if (!NUMERIC_SPECIFICATIONS[key]) {
+        throw badRequest(`Unknown specification '${key}'. Allowed: ${Object.keys(NUMERIC_SPECIFICATIONS).join(', ')}`);
+      }
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const range = {};
+        for (const [bound, limit] of Object.entries(value)) {
+          if (!['min', 'max'].includes(bound)) throw badRequest(`Use spec[${key}][min] or spec[${key}][max]`);
+          range[bound === 'min' ? '$gte' : '$lte'] = parseNumber(limit, `spec[${key}][${bound}]`);
+        }
+        conditions[`specifications.${key}`] = range;
+      } else {
+        conditions[`specifications.${key}`] = parseNumber(value, `spec[${key}]`);
+      }
+    }
+  }
+
+  if (query.allergenFree) {
+    const allergens = String(query.allergenFree).split(',').map(allergen => allergen.trim().toLowerCase()).filter(Boolean);
+    const unknown = allergens.filter(allergen => !ALLERGENS.includes(allergen));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown allergen(s) ${unknown.join(', ')}. Allowed: ${ALLERGENS.join(', ')}`);
+    }
+    conditions['specifications.allergens'] = { $nin: allergens };
+    conditions['specifications.mayContain'] = { $nin: allergens };
+  }
+
+  if (query.hsCode) {
+    const digits = String(query.hsCode).replace(/[\s.]/g, '');
+    if (!/^\d{2,10}$/.test(digits)) throw badRequest('hsCode must be 2-10 digits');
+    conditions['specifications.hsCode'] = { $regex: `^${digits}` };
+  }
+
+  return conditions;
+};
+
+// ✅ Product JSON as the caller should see it: inactive variants and expired
+// badges are for catalog staff, and a variant filter narrows the list to matches
+const visibleToCaller = (req, products, filter = null) => {
+  const staff = can(req, 'products:write');
+  const now = new Date();
+
+  return products.map(product => {
+    const data = typeof product.toJSON === 'function' ? product.toJSON() : product;
+    const visible = { ...data };
+
+    if (Array.isArray(data.variants)) {
+      visible.variants = data.variants.filter(variant => (staff || variant.isActive) && variantMatches(variant, filter));
+    }
+    if (!staff && Array.isArray(data.certifications)) {
+      visible.certifications = data.certifications.filter(badge => isCurrentBadge(badge, now));
+    }
+
+    return visible;
+  });
+};
+
+const pickVariantFields = (data) => Object.fromEntries(
+  Object.entries(data || {}).filter(([field]) => VARIANT_FIELDS.includes(field))
+);
+
+const uploadedImages = (files) => (files || []).map(file => ({
+  url: file.path, // Cloudinary URL
+  publicId: file.filename // Cloudinary public_id
+}));
+
+const destroyImages = async (images) => {
+  for (const image of images || []) {
+    if (image.publicId) {
+      try {
+        await cloudinary.uploader.destroy(image.publicId);
+        console.log('🗑️ Deleted from Cloudinary:', image.publicId);
+      } catch (cloudinaryError) {
+        console.error('⚠️ Cloudinary deletion error:', cloudinaryError);
+      }
+    }
+  }
+};
+
+// ✅ SKUs are unique across the catalog
+const assertSkuAvailable = async (sku, productId) => {
+  if (await Product.isSkuTaken(sku, productId)) {
+    const error = new Error(`SKU ${String(sku).toUpperCase()} is already used by another product`);
+    error.status = 409;
+    throw error;
+  }
+};
+
+// ✅ Units on hand or reserved for a product (sku null) or variant in any
+// warehouse - without a sku, for any of the product's SKUs
+const hasStock = (productId, sku) => StockLevel.exists({
+  product: productId,
+  ...(sku !== undefined && { sku }),
+  $or: [{ onHand: { $gt: 0 } }, { reserved: { $gt: 0 } }]
+});
+
+const conflict = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+const variantErrorStatus = (error) => {
+  if (error.name === 'ValidationError' || error instanceof SyntaxError) return 400;
+  if (error.code === 11000) return 409;
+  return error.status || 500;
+};
+
+// ✅ Catalogue spreadsheets are read in memory
+const catalogFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+const uploadCatalogFile = (req, res, next) => {
+  catalogFileUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    res.status(400).json({
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 5MB.' : error.message
+    });
+  });
+};
+
+// ========================================
+// DOCUMENT HELPERS
+// ========================================
+
+const documentUpload = createDocumentUpload({
+  folder: 'olivegardens/product-documents',
+  formats: PRODUCT_DOCUMENT_FORMATS
+});
+
+// ✅ Multer errors (type, size) as JSON 400s
+const uploadDocument = (req, res, next) => {
+  documentUpload.single('document')(req, res, (error) => {
+    if (!error) return next();
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge || error.status === 400 ? 400 : 500).json({
+      message: tooLarge ? 'File too large. Maximum size is 10MB.' : error.message
+    });
+  });
+};
+
+const pickDocumentFields = (data) => Object.fromEntries(
+  Object.entries(data || {}).filter(([field]) => DOCUMENT_FIELDS.includes(field))
+);
+
+const canSeeDocument = (req, document) =>
+  document.visibility === 'public' || canSeeWholesale(req);
+
+// ✅ What callers get: metadata only, the file itself is behind /download
+const describeDocument = ({ _id, type, title, language, visibility, fileName, format, size, uploadedAt }) =>
+  ({ _id, type, title, language, visibility, fileName, format, size, uploadedAt });
+
+const destroyDocuments = async (documents) => {
+  for (const document of documents || []) {
+    try {
+      await deletePrivateDocument(document);
+      console.log('🗑️ Deleted document from Cloudinary:', document.publicId);
+    } catch (cloudinaryError) {
+      console.error('⚠️ Cloudinary deletion error:', cloudinaryError);
+    }
+  }
+};
+
+const documentErrorStatus = (error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError' || error instanceof SyntaxError) return 400;
+  return error.status || 500;
+};
 
 // Get All Products (Public)
-router.get('/', async (req, res) => {
+router.get('/', optionalUser, async (req, res) => {
   try {
     const { category, featured } = req.query;
-    let query = { isActive: true };
+    const variantFilter = parseVariantFilter(req.query);
+    let query = { isActive: true, ...variantConditions(variantFilter), ...specificationConditions(req.query) };
     
     if (category) query.category = category;
     if (featured === 'true') query.featured = true;
     
-    const products = await Product.find(query).sort({ createdAt: -1 });
+    const result = await paginate(Product, query, req.query, {
+      sortable: PRODUCT_SORTABLE,
+      selectable: canSeeWholesale(req) ? [...PRODUCT_SELECTABLE, 'wholesalePrice'] : PRODUCT_SELECTABLE,
+      defaultSort: '-createdAt',
+      select: wholesaleProjection(req) || undefined
+    });
+
+    // ✅ Prices for the caller (price lists, tiers, ?currency=) - skipped for ?fields= projections
+    if (!req.query.fields) {
+      const converter = await createConverter(req.query.currency);
+      result.data = await withPricing(req, result.data, converter);
+    }
+    result.data = visibleToCaller(req, result.data, variantFilter);
     
-    res.json(products);
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Failed to fetch products', error: error.message });
+  }
+});
+
+// Search Products (Public) - multilingual, ranked, with facet counts
+router.get('/search', optionalUser, async (req, res) => {
+  try {
+    const { q = '', category, featured, certification } = req.query;
+    const variantFilter = parseVariantFilter(req.query);
+    const converter = await createConverter(req.query.currency);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const tokens = tokenize(q);
+    const baseQuery = { isActive: true };
+
+    // Every token must appear somewhere in the normalized search text
+    if (tokens.length > 0) {
+      baseQuery.$and = tokens.map(token => ({
+        searchText: { $regex: escapeRegex(token) }
+      }));
+    }
+
+    // Facet counts reflect the text match only, so selecting a facet doesn't hide the others
+    const [facets] = await Product.aggregate([
+      { $match: baseQuery },
+      {
+        $facet: {
+          category: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          featured: [
+            { $group: { _id: '$featured', count: { $sum: 1 } } }
+          ],
+          certification: [
+            { $unwind: '$certifications' },
+            { $match: { 'certifications.name': { $nin: [null, ''] }, ...currentBadgeConditions('certifications.') } },
+            { $group: { _id: '$certifications.name', products: { $addToSet: '$_id' } } },
+            { $project: { count: { $size: '$products' } } },
+            { $sort: { count: -1, _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const query = { ...baseQuery };
+    if (category) query.category = String(category).toLowerCase();
+    if (featured === 'true') query.featured = true;
+    if (featured === 'false') query.featured = false;
+    if (certification) {
+      query.certifications = { $elemMatch: { name: certification, ...currentBadgeConditions() } };
+    }
+    Object.assign(query, variantConditions(variantFilter), specificationConditions(req.query));
+
+    const catalogueOrder = { featured: -1, order: 1, createdAt: -1 };
+    let pageItems;
+    let total;
+    let truncated = false;
+
+    if (tokens.length > 0) {
+      // Rank a bounded candidate set, then load only the page's products in full
+      const candidates = await Product.find(query)
+        .select(SEARCH_SCORED_FIELDS)
+        .sort(catalogueOrder)
+        .limit(MAX_SEARCH_CANDIDATES + 1)
+        .lean();
+      truncated = candidates.length > MAX_SEARCH_CANDIDATES;
+
+      const ranked = candidates.slice(0, MAX_SEARCH_CANDIDATES)
+        .map(product => ({ _id: product._id, score: scoreProduct(product, tokens, q) }))
+        .sort((a, b) => b.score - a.score);
+      total = ranked.length;
+
+      const ranking = ranked.slice((page - 1) * limit, page * limit);
+      const products = await Product.find({ _id: { $in: ranking.map(({ _id }) => _id) } })
+        .select(wholesaleProjection(req));
+      const byId = new Map(products.map(product => [product._id.toString(), product]));
+      pageItems = ranking
+        .filter(({ _id }) => byId.has(_id.toString()))
+        .map(({ _id, score }) => ({ product: byId.get(_id.toString()), score }));
+    } else {
+      const [products, count] = await Promise.all([
+        Product.find(query)
+          .select(wholesaleProjection(req))
+          .sort(catalogueOrder)
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Product.countDocuments(query)
+      ]);
+      pageItems = products.map(product => ({ product, score: 0 }));
+      total = count;
+    }
+
+    const priced = await withPricing(req, pageItems.map(({ product }) => product), converter);
+    const results = visibleToCaller(req, priced, variantFilter)
+      .map((product, i) => ({ ...product, relevance: pageItems[i].score }));
+
+    res.json({
+      success: true,
+      query: q,
+      products: results,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      // More matches than are ranked - a more specific query narrows them down
+      truncated,
+      facets: {
+        category: facets.category.map(f => ({ value: f._id, count: f.count })),
+        featured: facets.featured.map(f => ({ value: !!f._id, count: f.count })),
+        certification: facets.certification.map(f => ({ value: f._id, count: f.count }))
+      }
+    });
+  } catch (error) {
+    console.error('❌ Search products error:', error);
+    res.status(error.status || 500).json({ message: 'Failed to search products', error: error.message });
+  }
+});
+
+// Rebuild Search Index (Admin Only) - for products saved before search existed
+router.post('/search/reindex', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const products = await Product.find();
+
+    for (const product of products) {
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { searchText: buildSearchText(product) } }
+      );
+    }
+
+    console.log('🔎 Search index rebuilt for', products.length, 'products');
+
+    res.json({
+      message: 'Search index rebuilt successfully',
+      total: products.length
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Failed to rebuild search index', error: error.message });
+  }
+});
+
+// Find a Variant by SKU (Public) - the variant with its product
+router.get('/variants/:sku', optionalUser, async (req, res) => {
+  try {
+    const sku = req.params.sku.trim().toUpperCase();
+    const product = await Product.findOne({ 'variants.sku': sku }).select(wholesaleProjection(req));
+    const variant = product && product.getVariant(sku);
+    const staff = can(req, 'products:write');
+
+    if (!product || (!staff && (!product.isActive || !variant.isActive))) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const converter = await createConverter(req.query.currency);
+    const [data] = visibleToCaller(req, await withPricing(req, [product], converter));
+
+    res.json({
+      product: data,
+      variant: data.variants.find(entry => entry.sku === sku)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Failed to fetch variant', error: error.message });
+  }
+});
+
+// Export Catalogue (Admin Only) - CSV in the import format (?category=&active=true|false)
+router.get('/export', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.category) filter.category = String(req.query.category).toLowerCase();
+    if (req.query.active === 'true') filter.isActive = true;
+    if (req.query.active === 'false') filter.isActive = false;
+
+    const { count, csv } = await exportProducts(filter);
+    const fileName = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    console.log(`📤 ${count} product(s) exported by ${req.user.email}`);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(csv);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to fetch products', error: error.message });
+    console.error('❌ Export products error:', error);
+    res.status(500).json({ message: 'Failed to export products', error: error.message });
   }
 });
 
+// Import Catalogue (Admin Only) - multipart: file (CSV), upserts by sku; ?dryRun=true validates only
+router.post('/import', authenticateToken, requirePermission('products:write'), uploadCatalogFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file provided' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const result = await importProducts(req.file.buffer.toString('utf8'), { dryRun, userId: req.user._id });
+    const valid = result.created + result.updated + result.unchanged;
+
+    if (!dryRun) {
+      console.log(`📥 Product import by ${req.user.email}: ${result.created} created, ${result.updated} updated, ${result.errors.length} error(s)`);
+    }
+
+    res.json({
+      message: dryRun
+        ? `${valid} row(s) valid, ${result.errors.length} error(s)`
+        : `${result.created} product(s) created, ${result.updated} updated, ${result.errors.length} error(s)`,
+      ...result
+    });
+  } catch (error) {
+    console.error('❌ Import products error:', error);
+    res.status(error.status || 500).json({ message: 'Failed to import products', error: error.message });
+  }
+});
+
+// Get Specification Catalogue (Public) - keys, units and ranges for forms and filters
+router.get('/specifications', (req, res) => {
+  res.json(getSpecificationInfo());
+});
+
 // Get Single Product (Public)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalUser, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).select(wholesaleProjection(req));
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json(product);
+
+    const converter = await createConverter(req.query.currency);
+    const [data] = visibleToCaller(req, await withPricing(req, [product], converter));
+    res.json(data);
   } catch (error) {
-    res.status(500).json({ message: 'Failed to fetch product', error: error.message });
+    res.status(error.status || 500).json({ message: 'Failed to fetch product', error: error.message });
   }
 });
 
 // Create Product (Admin Only) - With Cloudinary
-router.post('/', authenticateToken, isAdmin, upload.array('images', 5), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('products:write'), upload.array('images', 5), async (req, res) => {
   try {
     console.log('📦 Create product request');
     console.log('Files:', req.files?.length || 0);
@@ -53,10 +615,17 @@ router.post('/', authenticateToken, isAdmin, upload.array('images', 5), async (r
     }
     
     // ✅ Use userId from token (from auth.js)
-    productData.createdBy = req.user.userId;
+    productData.createdBy = req.user._id;
+    delete productData.lowStockAlerts;
+    delete productData.documents;
+    productData.certifications = await Certification.toBadges(productData.certifications);
+    if (productData.sku) await assertSkuAvailable(productData.sku);
     
     const product = new Product(productData);
     await product.save();
+
+    // ✅ Initial stock enters the inventory ledger as opening receipts
+    await recordOpeningStock(product, req.user._id);
     
     console.log('✅ Product created:', product._id);
     
@@ -66,17 +635,28 @@ router.post('/', authenticateToken, isAdmin, upload.array('images', 5), async (r
     });
   } catch (error) {
     console.error('❌ Create product error:', error);
-    res.status(500).json({ message: 'Failed to create product', error: error.message });
+    res.status(error.status || 500).json({ message: 'Failed to create product', error: error.message });
   }
 });
 
 // Update Product (Admin Only) - With Cloudinary
-router.put('/:id', authenticateToken, isAdmin, upload.array('images', 5), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('products:write'), upload.array('images', 5), async (req, res) => {
   try {
     console.log('🔄 Update product:', req.params.id);
     console.log('Files:', req.files?.length || 0);
     
     const productData = JSON.parse(req.body.productData);
+
+    // Variants and documents have their own endpoints; stock only changes
+    // through /api/inventory movements so every change is in the ledger
+    delete productData.variants;
+    delete productData.documents;
+    delete productData.stock;
+    delete productData.lowStockAlerts;
+    if (productData.certifications) {
+      productData.certifications = await Certification.toBadges(productData.certifications);
+    }
+    if (productData.sku) await assertSkuAvailable(productData.sku, req.params.id);
     
     // Add new uploaded images from Cloudinary if any
     if (req.files && req.files.length > 0) {
@@ -92,7 +672,7 @@ router.put('/:id', authenticateToken, isAdmin, upload.array('images', 5), async
       req.params.id,
       productData,
       { new: true, runValidators: true }
-    );
+    ).select('+wholesalePrice');
     
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -106,34 +686,36 @@ router.put('/:id', authenticateToken, isAdmin, upload.array('images', 5), async
     });
   } catch (error) {
     console.error('❌ Update product error:', error);
-    res.status(500).json({ message: 'Failed to update product', error: error.message });
+    res.status(error.status || 500).json({ message: 'Failed to update product', error: error.message });
   }
 });
 
 // Delete Product (Admin Only) - Delete from Cloudinary
-router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('products:delete'), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id).select('+documents');
     
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+
+    // Stock on hand or reserved by open orders has to be cleared first
+    if (await hasStock(product._id)) {
+      return res.status(409).json({
+        message: 'The product still has stock on hand or reserved. Adjust it to zero or deactivate the product instead.'
+      });
+    }
     
-    // Delete all images from Cloudinary
-    if (product.images && product.images.length > 0) {
-      for (const image of product.images) {
-        if (image.publicId) {
-          try {
-            await cloudinary.uploader.destroy(image.publicId);
-            console.log('🗑️ Deleted from Cloudinary:', image.publicId);
-          } catch (cloudinaryError) {
-            console.error('⚠️ Cloudinary deletion error:', cloudinaryError);
-          }
-        }
-      }
+    // Delete all images (product and variants) and documents from Cloudinary
+    await destroyImages(product.images);
+    for (const variant of product.variants) {
+      await destroyImages(variant.images);
     }
+    await destroyDocuments(product.documents);
     
     await product.deleteOne();
+    // Only empty levels are left; the movement ledger is kept as history
+    await StockLevel.deleteMany({ product: product._id });
     
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
@@ -142,7 +724,7 @@ router.delete('/:id', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // Toggle Product Active Status (Admin Only)
-router.patch('/:id/toggle-active', authenticateToken, isAdmin, async (req, res) => {
+router.patch('/:id/toggle-active', authenticateToken, requirePermission('products:write'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -163,7 +745,7 @@ router.patch('/:id/toggle-active', authenticateToken, isAdmin, async (req, res)
 });
 
 // Toggle Featured Status (Admin Only)
-router.patch('/:id/toggle-featured', authenticateToken, isAdmin, async (req, res) => {
+router.patch('/:id/toggle-featured', authenticateToken, requirePermission('products:write'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -183,4 +765,282 @@ router.patch('/:id/toggle-featured', authenticateToken, isAdmin, async (req, res
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ========================================
+// VARIANTS
+// ========================================
+
+// List Product Variants (Public) - ?sku=, ?inStock=, ?variant[<attribute>]=, ?currency=
+router.get('/:id/variants', optionalUser, async (req, res) => {
+  try {
+    const variantFilter = parseVariantFilter(req.query);
+    const product = await Product.findById(req.params.id).select(wholesaleProjection(req));
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const converter = await createConverter(req.query.currency);
+    const [data] = visibleToCaller(req, await withPricing(req, [product], converter), variantFilter);
+    const variants = [...data.variants].sort((a, b) => a.order - b.order);
+
+    res.json({
+      product: data._id,
+      total: variants.length,
+      variants
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: 'Failed to fetch variants', error: error.message });
+  }
+});
+
+// Add Variant (Admin Only) - multipart: variantData (JSON) + images
+router.post('/:id/variants', authenticateToken, requirePermission('products:write'), upload.array('images', 5), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const variantData = pickVariantFields(JSON.parse(req.body.variantData || '{}'));
+    variantData.images = [...(variantData.images || []), ...uploadedImages(req.files)];
+
+    await assertSkuAvailable(variantData.sku, product._id);
+
+    // Stock is kept per SKU once a product has variants
+    if (product.variants.length === 0 && await hasStock(product._id, null)) {
+      throw conflict('The product still has stock of its own. Adjust it to zero before adding variants.');
+    }
+
+    product.variants.push(variantData);
+    await product.save();
+
+    const variant = product.variants[product.variants.length - 1];
+    await recordOpeningStock(product, req.user._id, [variant.sku]);
+    console.log('✅ Variant added:', variant.sku, 'to product', product._id);
+
+    res.status(201).json({
+      message: 'Variant added successfully',
+      variant,
+      product
+    });
+  } catch (error) {
+    console.error('❌ Add variant error:', error);
+    res.status(variantErrorStatus(error)).json({ message: 'Failed to add variant', error: error.message });
+  }
+});
+
+// Update Variant (Admin Only) - multipart: variantData (JSON) + new images
+router.put('/:id/variants/:sku', authenticateToken, requirePermission('products:write'), upload.array('images', 5), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.getVariant(req.params.sku);
+
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const variantData = pickVariantFields(JSON.parse(req.body.variantData || '{}'));
+    variantData.images = [...(variantData.images || variant.images), ...uploadedImages(req.files)];
+    // Stock changes go through /api/inventory
+    delete variantData.stock;
+
+    if (variantData.sku && String(variantData.sku).trim().toUpperCase() !== variant.sku) {
+      // Stock records are kept by SKU
+      if (await StockLevel.exists({ product: product._id, sku: variant.sku })) {
+        throw conflict(`${variant.sku} has stock records and cannot be renamed. Add a new variant instead.`);
+      }
+      await assertSkuAvailable(variantData.sku, product._id);
+    }
+
+    variant.set(variantData);
+    await product.save();
+
+    console.log('✅ Variant updated:', variant.sku);
+
+    res.json({
+      message: 'Variant updated successfully',
+      variant,
+      product
+    });
+  } catch (error) {
+    console.error('❌ Update variant error:', error);
+    res.status(variantErrorStatus(error)).json({ message: 'Failed to update variant', error: error.message });
+  }
+});
+
+// Delete Variant (Admin Only) - Delete its images from Cloudinary
+router.delete('/:id/variants/:sku', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.getVariant(req.params.sku);
+
+    if (!variant) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    if (await hasStock(product._id, variant.sku)) {
+      throw conflict(`${variant.sku} still has stock on hand or reserved. Adjust it to zero or deactivate the variant instead.`);
+    }
+
+    await destroyImages(variant.images);
+
+    product.variants.pull(variant._id);
+    await product.save();
+
+    console.log('🗑️ Variant deleted:', req.params.sku.toUpperCase());
+
+    res.json({
+      message: 'Variant deleted successfully',
+      product
+    });
+  } catch (error) {
+    res.status(variantErrorStatus(error)).json({ message: 'Failed to delete variant', error: error.message });
+  }
+});
+
+// ========================================
+// DOCUMENTS
+// ========================================
+
+// Get Product Documents (Public) - 'verified' ones for verified companies and staff
+router.get('/:id/documents', optionalUser, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('documents');
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const { type, language } = req.query;
+    const documents = product.documents
+      .filter(document => canSeeDocument(req, document))
+      .filter(document => !type || document.type === type)
+      .filter(document => !language || document.language === String(language).toLowerCase())
+      .map(describeDocument);
+
+    res.json({
+      product: product._id,
+      total: documents.length,
+      documents,
+      types: PRODUCT_DOCUMENT_TYPES,
+      visibilities: DOCUMENT_VISIBILITIES
+    });
+  } catch (error) {
+    res.status(documentErrorStatus(error)).json({ message: 'Failed to fetch documents', error: error.message });
+  }
+});
+
+// Download Product Document - short-lived signed link
+router.get('/:id/documents/:documentId/download', optionalUser, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('documents');
+    const document = product && product.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    const sendLink = () => res.json({
+      fileName: document.fileName,
+      downloadUrl: getSignedDownloadUrl(document, DOWNLOAD_LINK_SECONDS),
+      expiresIn: DOWNLOAD_LINK_SECONDS
+    });
+
+    // Same 401 / 403 answers as other verified-company features
+    if (!canSeeDocument(req, document)) {
+      return requireVerifiedCompany(req, res, sendLink);
+    }
+
+    sendLink();
+  } catch (error) {
+    res.status(documentErrorStatus(error)).json({ message: 'Failed to create download link', error: error.message });
+  }
+});
+
+// Upload Product Document (Admin Only) - multipart: document + documentData (JSON: type, language, visibility, title)
+router.post('/:id/documents', authenticateToken, requirePermission('products:write'), uploadDocument, async (req, res) => {
+  const uploaded = req.file ? describeUploadedDocument(req.file, PRODUCT_DOCUMENT_FORMATS) : null;
+
+  try {
+    if (!uploaded) {
+      return res.status(400).json({ message: 'No document provided' });
+    }
+
+    const product = await Product.findById(req.params.id).select('+documents');
+
+    if (!product) {
+      await destroyDocuments([uploaded]);
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    product.documents.push({
+      ...pickDocumentFields(JSON.parse(req.body.documentData || '{}')),
+      ...uploaded,
+      uploadedBy: req.user._id
+    });
+    await product.save();
+
+    const document = product.documents[product.documents.length - 1];
+    console.log('📄 Document uploaded:', document.type, document.language, 'to product', product._id);
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: describeDocument(document)
+    });
+  } catch (error) {
+    console.error('❌ Upload document error:', error);
+    if (uploaded) await destroyDocuments([uploaded]);
+    res.status(documentErrorStatus(error)).json({ message: 'Failed to upload document', error: error.message });
+  }
+});
+
+// Update Product Document (Admin Only) - type, title, language, visibility
+router.put('/:id/documents/:documentId', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('+documents');
+    const document = product && product.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    document.set(pickDocumentFields(req.body));
+    await product.save();
+
+    console.log('✅ Document updated:', document._id);
+
+    res.json({
+      message: 'Document updated successfully',
+      document: describeDocument(document)
+    });
+  } catch (error) {
+    console.error('❌ Update document error:', error);
+    res.status(documentErrorStatus(error)).json({ message: 'Failed to update document', error: error.message });
+  }
+});
+
+// Delete Product Document (Admin Only) - Delete the file from Cloudinary
+router.delete('/:id/documents/:documentId', authenticateToken, requirePermission('products:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('+documents');
+    const document = product && product.documents.id(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    await destroyDocuments([document]);
+
+    product.documents.pull(document._id);
+    await product.save();
+
+    console.log('🗑️ Document deleted:', req.params.documentId);
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    res.status(documentErrorStatus(error)).json({ message: 'Failed to delete document', error: error.message });
+  }
+});
+
+module.exports = router;
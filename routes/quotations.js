@@ -0,0 +1,512 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Quotation = require('../models/Quotation');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { Contact } = require('../models/Others');
+const {
+  authenticateToken,
+  requirePermission,
+  requireVerifiedCompany,
+  requireOrganizationPermission,
+  can,
+  canInOrganization,
+  sharesOrganization
+} = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+const { pickTranslations } = require('../config/locales');
+const { notifyQuotationStatus } = require('../services/mail');
+const { createConverter, convertDocumentTotals } = require('../services/currency');
+
+const QUOTATION_SORTABLE = ['createdAt', 'updatedAt', 'status', 'validUntil', 'subtotal', 'quoteNumber'];
+const QUOTATION_SELECTABLE = [
+  'quoteNumber', 'requestedBy', 'organization', 'contact', 'customer', 'items', 'incoterm', 'destination',
+  'currency', 'subtotal', 'status', 'validUntil', 'sentAt', 'respondedAt', 'customerNotes',
+  'createdAt', 'updatedAt'
+];
+
+const isOwner = (quotation, user) =>
+  quotation.requestedBy && quotation.requestedBy.toString() === user._id.toString();
+
+// Requester, or a colleague whose organization role covers `permission`
+const canAccessQuotation = (quotation, req, permission) =>
+  isOwner(quotation, req.user) || sharesOrganization(req, quotation.organization, permission);
+
+// ✅ ?currency= - list rows as plain objects in the requested currency
+const convertRows = (result, converter) => {
+  if (converter) {
+    result.data = result.data.map(row => convertDocumentTotals(row.toObject(), converter));
+  }
+  return result;
+};
+
+// ✅ Validate requested lines and attach product name snapshots
+const buildItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('At least one product line is required');
+  }
+
+  const productIds = items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  return items.map((item, index) => {
+    const product = productMap.get(String(item.product));
+    if (!product) {
+      throw new Error(`Line ${index + 1}: product not found or inactive`);
+    }
+
+    const variant = product.variantForLine(item.sku, index + 1);
+
+    return {
+      product: product._id,
+      sku: variant ? variant.sku : undefined,
+      productName: pickTranslations(product.name),
+      quantity: item.quantity,
+      unit: item.unit,
+      packaging: item.packaging,
+      notes: item.notes
+    };
+  });
+};
+
+// @route   POST /api/quotations
+// @desc    Submit a request for quotation
+// @access  Private (verified companies; org members: quotations:request)
+router.post('/', authenticateToken, requireVerifiedCompany, requireOrganizationPermission('quotations:request'), async (req, res) => {
+  try {
+    const { items, incoterm, destination, customerNotes } = req.body;
+
+    const quotationItems = await buildItems(items);
+
+    // The contact id is assigned up front so the quotation is saved once
+    const contactId = new mongoose.Types.ObjectId();
+    const quotation = new Quotation({
+      requestedBy: req.user._id,
+      organization: req.organization ? req.organization._id : undefined,
+      customer: {
+        name: req.user.fullName,
+        email: req.user.email,
+        phone: req.user.phone,
+        company: req.user.companyName
+      },
+      items: quotationItems,
+      incoterm,
+      destination,
+      customerNotes,
+      contact: contactId
+    });
+
+    await quotation.saveWithQuoteNumber();
+
+    // ✅ Mirror the RFQ into the contact inbox so sales sees it with other inquiries
+    try {
+      await Contact.create({
+        _id: contactId,
+        name: req.user.fullName,
+        email: req.user.email,
+        phone: req.user.phone,
+        company: req.user.companyName,
+        subject: `Quotation request ${quotation.quoteNumber}`,
+        message: customerNotes || `Request for quotation covering ${quotationItems.length} product line(s)`,
+        inquiryType: 'quotation',
+        quotation: quotation._id
+      });
+    } catch (error) {
+      // No quotation without its inbox entry - the buyer can simply resubmit
+      await quotation.deleteOne();
+      throw error;
+    }
+
+    console.log('✅ Quotation requested:', quotation.quoteNumber, 'by', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation request submitted successfully',
+      quotation
+    });
+  } catch (error) {
+    console.error('❌ Create quotation error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to submit quotation request'
+    });
+  }
+});
+
+// @route   GET /api/quotations/mine
+// @desc    Get quotations requested by the current user (and their organization with quotations:view), ?currency= converts
+// @access  Private
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const converter = await createConverter(req.query.currency);
+    await Quotation.expireOverdue();
+
+    const filter = req.organization && canInOrganization(req, 'quotations:view')
+      ? { $or: [{ requestedBy: req.user._id }, { organization: req.organization._id }] }
+      : { requestedBy: req.user._id };
+
+    const result = await paginate(Quotation, filter, req.query, {
+      sortable: QUOTATION_SORTABLE,
+      selectable: QUOTATION_SELECTABLE,
+      defaultSort: '-createdAt',
+      select: '-adminNotes'
+    });
+
+    res.json(convertRows(result, converter));
+  } catch (error) {
+    console.error('❌ Get my quotations error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch quotations',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/quotations
+// @desc    Get all quotations (?currency= converts)
+// @access  Private (quotations:read)
+router.get('/', authenticateToken, requirePermission('quotations:read'), async (req, res) => {
+  try {
+    const converter = await createConverter(req.query.currency);
+    await Quotation.expireOverdue();
+
+    const { status, organization } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (organization) query.organization = organization;
+
+    const result = await paginate(Quotation, query, req.query, {
+      sortable: QUOTATION_SORTABLE,
+      selectable: [...QUOTATION_SELECTABLE, 'adminNotes', 'pricedBy'],
+      defaultSort: '-createdAt',
+      populate: { path: 'requestedBy', select: 'email userType companyName firstName lastName' }
+    });
+
+    res.json(convertRows(result, converter));
+  } catch (error) {
+    console.error('❌ Get quotations error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch quotations',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/quotations/from-contact/:contactId
+// @desc    Open a draft quotation from an existing quotation inquiry
+// @access  Private (quotations:write)
+router.post('/from-contact/:contactId', authenticateToken, requirePermission('quotations:write'), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.contactId);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    if (contact.quotation) {
+      return res.status(400).json({
+        success: false,
+        message: 'A quotation already exists for this inquiry',
+        quotation: contact.quotation
+      });
+    }
+
+    const buyer = await User.findOne({ email: contact.email });
+
+    if (!buyer) {
+      return res.status(400).json({
+        success: false,
+        message: 'The inquiry sender has no registered account'
+      });
+    }
+
+    const quotationItems = await buildItems(req.body.items);
+
+    const quotation = new Quotation({
+      requestedBy: buyer._id,
+      organization: buyer.organization,
+      contact: contact._id,
+      customer: {
+        name: contact.name,
+        email: contact.email,
+        phone: contact.phone,
+        company: contact.company
+      },
+      items: quotationItems,
+      incoterm: req.body.incoterm,
+      destination: req.body.destination,
+      customerNotes: contact.message
+    });
+    await quotation.saveWithQuoteNumber();
+
+    contact.quotation = quotation._id;
+    contact.status = 'read';
+    await contact.save();
+
+    console.log('✅ Quotation opened from inquiry:', quotation.quoteNumber);
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation created from inquiry',
+      quotation
+    });
+  } catch (error) {
+    console.error('❌ Quotation from contact error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to create quotation'
+    });
+  }
+});
+
+// @route   GET /api/quotations/:id
+// @desc    Get single quotation (owner, org members with quotations:view, or quotations:read), ?currency= converts
+// @access  Private
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const converter = await createConverter(req.query.currency);
+    const quotation = await Quotation.findById(req.params.id)
+      .populate('items.product', 'name images category');
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const staff = can(req, 'quotations:read');
+    if (!staff && !canAccessQuotation(quotation, req, 'quotations:view')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (quotation.isOverdue()) {
+      quotation.status = 'expired';
+      await quotation.save();
+    }
+
+    const data = quotation.toObject();
+    if (!staff) delete data.adminNotes;
+
+    res.json({
+      success: true,
+      quotation: convertDocumentTotals(data, converter)
+    });
+  } catch (error) {
+    console.error('❌ Get quotation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: 'Failed to fetch quotation',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/quotations/:id/pricing
+// @desc    Price quotation lines (draft only)
+// @access  Private (quotations:write)
+router.put('/:id/pricing', authenticateToken, requirePermission('quotations:write'), async (req, res) => {
+  try {
+    const { items, currency, incoterm, validUntil, adminNotes } = req.body;
+
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        message: `Only draft quotations can be priced (current status: ${quotation.status})`
+      });
+    }
+
+    if (Array.isArray(items)) {
+      for (const line of items) {
+        const item = quotation.items.id(line._id);
+        if (!item) {
+          return res.status(400).json({
+            success: false,
+            message: `Quotation line ${line._id} not found`
+          });
+        }
+        if (line.unitPrice !== undefined) item.unitPrice = line.unitPrice;
+        if (line.quantity !== undefined) item.quantity = line.quantity;
+        if (line.packaging !== undefined) item.packaging = line.packaging;
+        if (line.notes !== undefined) item.notes = line.notes;
+      }
+    }
+
+    if (currency) quotation.currency = currency;
+    if (incoterm) quotation.incoterm = incoterm;
+    if (validUntil) quotation.validUntil = validUntil;
+    if (adminNotes !== undefined) quotation.adminNotes = adminNotes;
+    quotation.pricedBy = req.user._id;
+
+    await quotation.save();
+
+    res.json({
+      success: true,
+      message: 'Quotation pricing updated',
+      quotation
+    });
+  } catch (error) {
+    console.error('❌ Price quotation error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quotation pricing',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/quotations/:id/status
+// @desc    Move quotation through its workflow
+// @access  Private (staff: sent/draft/expired, owner or org quotations:respond: accepted/rejected)
+router.patch('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const quotation = await Quotation.findById(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const staff = can(req, 'quotations:write');
+    const ownerStatuses = ['accepted', 'rejected'];
+
+    if (ownerStatuses.includes(status)) {
+      const mayRespond = sharesOrganization(req, quotation.organization, 'quotations:respond') ||
+        (isOwner(quotation, req.user) && canInOrganization(req, 'quotations:respond'));
+
+      if (!mayRespond) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the requesting customer can respond to a quotation'
+        });
+      }
+    } else if (!staff) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: quotations:write'
+      });
+    }
+
+    if (quotation.isOverdue()) {
+      quotation.status = 'expired';
+      await quotation.save();
+    }
+
+    if (!quotation.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change quotation from '${quotation.status}' to '${status}'`
+      });
+    }
+
+    if (status === 'sent') {
+      if (!quotation.isFullyPriced()) {
+        return res.status(400).json({
+          success: false,
+          message: 'All lines must be priced before sending the quotation'
+        });
+      }
+      if (!quotation.validUntil || quotation.validUntil < Date.now()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A future validUntil date is required before sending'
+        });
+      }
+      quotation.sentAt = new Date();
+    }
+
+    if (ownerStatuses.includes(status)) {
+      quotation.respondedAt = new Date();
+    }
+
+    quotation.status = status;
+    await quotation.save();
+
+    console.log(`✅ Quotation ${quotation.quoteNumber} → ${status}`);
+
+    if (['sent', 'accepted', 'rejected'].includes(status)) {
+      notifyQuotationStatus(quotation).catch(error => {
+        console.error('❌ Quotation notification error:', error.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Quotation ${status}`,
+      quotation
+    });
+  } catch (error) {
+    console.error('❌ Quotation status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quotation status',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/quotations/:id
+// @desc    Delete quotation
+// @access  Private (quotations:delete)
+router.delete('/:id', authenticateToken, requirePermission('quotations:delete'), async (req, res) => {
+  try {
+    const quotation = await Quotation.findByIdAndDelete(req.params.id);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.contact) {
+      await Contact.updateOne({ _id: quotation.contact }, { $unset: { quotation: 1 } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quotation deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Delete quotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete quotation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, SUPERADMIN_ROLE, DEFAULT_ROLE } = require('../config/permissions');
+
+// Every route here manages access control itself
+router.use(authenticateToken, requirePermission('roles:manage'));
+
+const handleRoleError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(e => e.message)
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A role with this name already exists'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : fallbackMessage,
+    error: error.message
+  });
+};
+
+// @route   GET /api/roles/permissions
+// @desc    All known permissions with descriptions
+// @access  Private (roles:manage)
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+  });
+});
+
+// @route   GET /api/roles
+// @desc    Roles with their permissions and number of users
+// @access  Private (roles:manage)
+router.get('/', async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const countByRole = new Map(counts.map(entry => [entry._id, entry.count]));
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({
+        ...role,
+        userCount: countByRole.get(role.name) || 0
+      }))
+    });
+  } catch (error) {
+    handleRoleError(res, error, 'Failed to fetch roles');
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles:manage)
+router.post('/', async (req, res) => {
+  try {
+    const { name, label, description, permissions } = req.body;
+
+    const role = await Role.create({
+      name,
+      label,
+      description,
+      permissions: permissions || [],
+      isSystem: false,
+      updatedBy: req.user._id
+    });
+
+    console.log('🛡️ Role created:', role.name, 'by', req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    handleRoleError(res, error, 'Failed to create role');
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update label, description and permissions of a role
+// @access  Private (roles:manage)
+router.put('/:name', async (req, res) => {
+  try {
+    if (req.params.name === SUPERADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'The superadmin role always has every permission'
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { label, description, permissions } = req.body;
+    if (label !== undefined) role.label = label;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    role.updatedBy = req.user._id;
+
+    await role.save();
+
+    console.log('🛡️ Role updated:', role.name, '→', role.permissions.join(', ') || '(none)', 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    handleRoleError(res, error, 'Failed to update role');
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role (users holding it fall back to 'user' with ?reassign=true)
+// @access  Private (roles:manage)
+router.delete('/:name', async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    if (userCount > 0 && req.query.reassign !== 'true') {
+      return res.status(409).json({
+        success: false,
+        message: `${userCount} user(s) still have this role. Reassign them first or pass ?reassign=true.`,
+        userCount
+      });
+    }
+
+    if (userCount > 0) {
+      await User.updateMany({ role: role.name }, { $set: { role: DEFAULT_ROLE } });
+    }
+
+    await role.deleteOne();
+
+    console.log('🛡️ Role deleted:', role.name, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+      reassigned: userCount
+    });
+  } catch (error) {
+    handleRoleError(res, error, 'Failed to delete role');
+  }
+});
+
+module.exports = router;
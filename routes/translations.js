@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Gallery = require('../models/Gallery');
+const Content = require('../models/Content');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { LOCALES } = require('../config/locales');
+const {
+  collectTranslationFields,
+  findTranslationGaps,
+  summarizeTranslations
+} = require('../utils/translations');
+
+// ========================================
+// TRANSLATABLE SOURCES
+// ========================================
+const SOURCES = {
+  product: {
+    model: Product,
+    label: (doc) => (doc.name && doc.name.en) || String(doc._id)
+  },
+  category: {
+    model: Category,
+    label: (doc) => (doc.label && doc.label.en) || doc.value
+  },
+  gallery: {
+    model: Gallery,
+    label: (doc) => (doc.title && doc.title.en) || doc.imageUrl
+  },
+  content: {
+    model: Content,
+    label: (doc) => doc.section
+  }
+};
+
+const getSource = (type, res) => {
+  const source = SOURCES[type];
+  if (!source) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown type '${type}'. Allowed: ${Object.keys(SOURCES).join(', ')}`
+    });
+    return null;
+  }
+  return source;
+};
+
+// @route   GET /api/translations/report
+// @desc    Translation completeness per type and locale
+// @access  Private (translations:read)
+router.get('/report', authenticateToken, requirePermission('translations:read'), async (req, res) => {
+  try {
+    const report = {};
+
+    for (const [type, source] of Object.entries(SOURCES)) {
+      const docs = await source.model.find().lean();
+      report[type] = summarizeTranslations(docs);
+    }
+
+    const totals = summarizeTranslations([]);
+    for (const summary of Object.values(report)) {
+      totals.documents += summary.documents;
+      totals.documentsWithGaps += summary.documentsWithGaps;
+      totals.fields += summary.fields;
+      LOCALES.forEach(code => { totals.missing[code] += summary.missing[code]; });
+    }
+    LOCALES.forEach(code => {
+      totals.completeness[code] = totals.fields === 0
+        ? 100
+        : Math.round(((totals.fields - totals.missing[code]) / totals.fields) * 1000) / 10;
+    });
+
+    res.json({
+      success: true,
+      locales: LOCALES,
+      totals,
+      report
+    });
+  } catch (error) {
+    console.error('❌ Translation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build translation report',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/translations/queue
+// @desc    Paged list of missing translations (?locale=es&type=product)
+// @access  Private (translations:read)
+router.get('/queue', authenticateToken, requirePermission('translations:read'), async (req, res) => {
+  try {
+    const { locale, type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    if (locale && !LOCALES.includes(locale)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported locale '${locale}'. Supported: ${LOCALES.join(', ')}`
+      });
+    }
+
+    const types = type ? [type] : Object.keys(SOURCES);
+    const queue = [];
+
+    for (const currentType of types) {
+      const source = getSource(currentType, res);
+      if (!source) return;
+
+      const docs = await source.model.find().sort({ updatedAt: -1 }).lean();
+
+      for (const doc of docs) {
+        for (const gap of findTranslationGaps(doc)) {
+          const missing = locale ? gap.missing.filter(code => code === locale) : gap.missing;
+          if (missing.length === 0) continue;
+
+          queue.push({
+            type: currentType,
+            id: doc._id,
+            label: source.label(doc),
+            path: gap.path,
+            missing,
+            sourceLocale: gap.sourceLocale,
+            source: gap.source,
+            values: gap.values
+          });
+        }
+      }
+    }
+
+    const total = queue.length;
+    const data = queue.slice((page - 1) * limit, page * limit);
+
+    res.json({
+      success: true,
+      data,
+      pagination: {
+        total,
+        limit,
+        page,
+        pages: Math.ceil(total / limit),
+        hasMore: page * limit < total,
+        nextCursor: null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Translation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build translation queue',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/translations/:type/:id
+// @desc    Fill in translations: { translations: [{ path, locale, value }] }
+// @access  Private (translations:write)
+router.put('/:type/:id', authenticateToken, requirePermission('translations:write'), async (req, res) => {
+  try {
+    const source = getSource(req.params.type, res);
+    if (!source) return;
+
+    const translations = Array.isArray(req.body.translations)
+      ? req.body.translations
+      : [req.body];
+
+    const doc = await source.model.findById(req.params.id);
+
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    // Only existing translated fields may be written through this endpoint
+    const allowedPaths = new Set(
+      collectTranslationFields(doc.toObject({ virtuals: false })).map(field => field.path)
+    );
+
+    for (const { path, locale, value } of translations) {
+      if (!allowedPaths.has(path)) {
+        return res.status(400).json({
+          success: false,
+          message: `'${path}' is not a translated field of this ${req.params.type}`
+        });
+      }
+      if (!LOCALES.includes(locale)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported locale '${locale}'. Supported: ${LOCALES.join(', ')}`
+        });
+      }
+      if (typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: `Translation for '${path}.${locale}' must be a string`
+        });
+      }
+
+      doc.set(`${path}.${locale}`, value);
+    }
+
+    if (req.params.type === 'content') {
+      doc.updatedBy = req.user._id;
+    }
+
+    await doc.save();
+
+    console.log(`🌐 ${translations.length} translation(s) saved on ${req.params.type} ${doc._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Translations saved successfully',
+      remaining: findTranslationGaps(doc.toObject({ virtuals: false }))
+    });
+  } catch (error) {
+    console.error('❌ Save translations error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save translations',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@ const router = express.Router();
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
-const { protect, admin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // ✅ Configure Cloudinary
 cloudinary.config({
@@ -42,7 +42,7 @@ const upload = multer({
 });
 
 // ✅ Route: Upload single category image
-router.post('/category-image', protect, admin, upload.single('image'), async (req, res) => {
+router.post('/category-image', protect, requirePermission('categories:write'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No image file provided' });
@@ -73,7 +73,7 @@ router.post('/category-image', protect, admin, upload.single('image'), async (re
 });
 
 // ✅ Route: Delete category image from Cloudinary
-router.delete('/category-image/:publicId', protect, admin, async (req, res) => {
+router.delete('/category-image/:publicId', protect, requirePermission('categories:write'), async (req, res) => {
   try {
     const publicId = req.params.publicId;
     
@@ -97,7 +97,7 @@ router.delete('/category-image/:publicId', protect, admin, async (req, res) => {
 });
 
 // ✅ Route: Upload multiple category images (if needed)
-router.post('/category-images', protect, admin, upload.array('images', 5), async (req, res) => {
+router.post('/category-images', protect, requirePermission('categories:write'), upload.array('images', 5), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ message: 'No image files provided' });
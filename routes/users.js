@@ -1,21 +1,58 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const { protect, admin } = require('../middleware/auth');
+const Role = require('../models/Role');
+const Organization = require('../models/Organization');
+const { SUPERADMIN_ROLE } = require('../config/permissions');
+const { protect, requirePermission, securityHelpers } = require('../middleware/auth');
+const { paginate } = require('../utils/query');
+
+const USER_SORTABLE = ['createdAt', 'updatedAt', 'email', 'role', 'userType', 'lastLogin', 'lastActive', 'firstName', 'lastName', 'companyName'];
+const USER_SELECTABLE = [
+  'email', 'userType', 'role', 'firstName', 'lastName', 'phone', 'companyName',
+  'companyRegistrationNumber', 'taxId', 'contactPerson', 'address', 'isActive',
+  'emailVerified', 'lastLogin', 'lastActive', 'deletionRequest', 'createdAt', 'updatedAt'
+];
+
+// Profile fields admins may edit through PUT /api/users/:id. Everything else
+// has its own flow: passwords and 2FA (auth), roles (PATCH /:id/role), company
+// verification (/api/company-verification) and deletion requests.
+const EDITABLE_FIELDS = [
+  'email', 'userType', 'firstName', 'lastName', 'phone', 'companyName',
+  'companyRegistrationNumber', 'taxId', 'contactPerson', 'address',
+  'preferredLanguage', 'isActive', 'emailVerified'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  Object.entries(body || {}).filter(([field]) => EDITABLE_FIELDS.includes(field))
+);
 
 // @route   GET /api/users
-// @desc    Get all users (Admin only)
-// @access  Private/Admin
-router.get('/', protect, admin, async (req, res) => {
+// @desc    Get users, paginated
+// @access  Private (users:read)
+router.get('/', protect, requirePermission('users:read'), async (req, res) => {
   try {
-    const users = await User.find()
-      .select('-password')
-      .sort({ createdAt: -1 });
+    const { role, userType, isActive, deletionRequested } = req.query;
+    const query = {};
+
+    if (role) query.role = role;
+    if (userType) query.userType = userType;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (deletionRequested !== undefined) {
+      query['deletionRequest.requestedAt'] = { $exists: deletionRequested === 'true' };
+    }
+
+    const result = await paginate(User, query, req.query, {
+      sortable: USER_SORTABLE,
+      selectable: USER_SELECTABLE,
+      defaultSort: '-createdAt',
+      select: '-password -loginHistory'
+    });
     
-    res.json(users);
+    res.json(result);
   } catch (error) {
     console.error('Get users error:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       message: 'Failed to fetch users',
       error: error.message
@@ -25,8 +62,8 @@ router.get('/', protect, admin, async (req, res) => {
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private/Admin
-router.get('/:id', protect, admin, async (req, res) => {
+// @access  Private (users:read)
+router.get('/:id', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
@@ -50,12 +87,39 @@ router.get('/:id', protect, admin, async (req, res) => {
 
 // @route   PUT /api/users/:id
 // @desc    Update user
-// @access  Private/Admin
-router.put('/:id', protect, admin, async (req, res) => {
+// @access  Private (users:write)
+router.put('/:id', protect, requirePermission('users:write'), async (req, res) => {
   try {
+    // Role changes go through PATCH /api/users/:id/role (roles:manage)
+    if (req.body.role !== undefined) {
+      const current = await User.findById(req.params.id).select('role');
+      if (current && current.role !== req.body.role) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use PATCH /api/users/:id/role to change a user role'
+        });
+      }
+      delete req.body.role;
+    }
+
+    // Membership is kept on both sides (User.organization and
+    // Organization.members) - it only changes through /api/organizations
+    if (req.body.organization !== undefined) {
+      const current = await User.findById(req.params.id).select('organization');
+      const requested = req.body.organization && (req.body.organization._id || req.body.organization);
+      const currentOrganization = current && current.organization ? current.organization.toString() : null;
+      if (current && currentOrganization !== (requested ? String(requested) : null)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Use /api/organizations to add or remove organization members'
+        });
+      }
+      delete req.body.organization;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      pickEditable(req.body),
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -77,12 +141,146 @@ router.put('/:id', protect, admin, async (req, res) => {
   }
 });
 
+// @route   PATCH /api/users/:id/role
+// @desc    Assign a role to a user
+// @access  Private (roles:manage)
+router.patch('/:id/role', protect, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roleName = String(req.body.role || '').toLowerCase().trim();
+
+    const role = await Role.findOne({ name: roleName });
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role '${roleName}'`
+      });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only superadmins may grant or revoke superadmin
+    if ((user.role === SUPERADMIN_ROLE || role.name === SUPERADMIN_ROLE) && req.user.role !== SUPERADMIN_ROLE) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Super Admin privileges required.'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role.name;
+    await user.save({ validateBeforeSave: false });
+
+    console.log(`🛡️ Role changed: ${user.email} ${previousRole} → ${role.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role
+      },
+      permissions: await Role.resolvePermissions(user.role)
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/users/:id/login-history
+// @desc    Recent logins and lockout state of a user
+// @access  Private (users:read)
+router.get('/:id/login-history', protect, requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('email lastLogin loginHistory loginAttempts lockUntil');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      email: user.email,
+      lastLogin: user.lastLogin,
+      loginHistory: user.loginHistory || [],
+      failedAttempts: user.loginAttempts || 0,
+      locked: user.isLocked,
+      lockUntil: user.isLocked ? user.lockUntil : null
+    });
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login history',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/users/:id/unlock
+// @desc    Clear failed login attempts / account lock (optionally unblock an IP: { ip })
+// @access  Private (users:write)
+router.patch('/:id/unlock', protect, requirePermission('users:write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    if (req.body.ip) {
+      securityHelpers.resetFailedLogins(String(req.body.ip));
+    }
+
+    console.log('🔓 Account unlocked:', user.email, 'by', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      error: error.message
+    });
+  }
+});
+
 // @route   DELETE /api/users/:id
 // @desc    Delete user
-// @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+// @access  Private (users:delete)
+router.delete('/:id', protect, requirePermission('users:delete'), async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({
@@ -91,6 +289,25 @@ router.delete('/:id', protect, admin, async (req, res) => {
       });
     }
 
+    // ✅ Organization owners go last - their organization goes with them
+    const organization = user.organization && await Organization.findById(user.organization);
+    const member = organization && organization.getMember(user._id);
+
+    if (member && member.role === 'owner' && organization.members.length > 1) {
+      return res.status(409).json({
+        success: false,
+        message: `This user owns ${organization.name}, which still has ${organization.members.length - 1} other member(s). Remove them first.`
+      });
+    }
+
+    await user.deleteOne();
+
+    if (member && member.role === 'owner') {
+      await organization.deleteOne();
+    } else if (member) {
+      await Organization.updateOne({ _id: organization._id }, { $pull: { members: { user: user._id } } });
+    }
+
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -107,8 +324,8 @@ router.delete('/:id', protect, admin, async (req, res) => {
 
 // @route   GET /api/users/stats/all
 // @desc    Get user statistics
-// @access  Private/Admin
-router.get('/stats/all', protect, admin, async (req, res) => {
+// @access  Private (users:read)
+router.get('/stats/all', protect, requirePermission('users:read'), async (req, res) => {
   try {
     const totalUsers = await User.countDocuments();
     const individuals = await User.countDocuments({ userType: 'individual' });
@@ -4,15 +4,19 @@ const { Server } = require('socket.io');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const geoip = require('geoip-lite');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss-clean');
 const hpp = require('hpp');
 const path = require('path');
+const { getLocationFromIP } = require('./utils/geo');
 const uploadRoutes = require('./routes/upload');
 const categoryRoutes = require('./routes/categoryRoutes');
+const { localizeResponse } = require('./middleware/locale');
+const { getLocaleInfo, DEFAULT_LOCALE } = require('./config/locales');
+const Role = require('./models/Role');
+const Organization = require('./models/Organization');
 
 // ✅ Load environment variables FIRST
 dotenv.config();
@@ -221,34 +225,6 @@ let visitorsData = {
   connections: []
 };
 
-const getLocationFromIP = (ip) => {
-  if (!ip || ip === '::1' || ip === '127.0.0.1' || ip.startsWith('192.168.') || ip.startsWith('10.')) {
-    return {
-      country: 'Local',
-      countryCode: 'LC',
-      city: 'Localhost'
-    };
-  }
-
-  const geo = geoip.lookup(ip);
-  
-  if (geo) {
-    return {
-      country: geo.country,
-      countryCode: geo.country,
-      city: geo.city || 'Unknown',
-      region: geo.region || 'Unknown',
-      timezone: geo.timezone || 'Unknown'
-    };
-  }
-
-  return {
-    country: 'Unknown',
-    countryCode: 'UN',
-    city: 'Unknown'
-  };
-};
-
 const updateAnalytics = async (page, countryCode, country) => {
   try {
     let analytics = await Analytics.findOne();
@@ -416,7 +392,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Accept-Language'],
+  exposedHeaders: ['Content-Language', 'X-Auth-Token-Deprecated'],
 };
 
 app.use(cors(corsOptions));
@@ -466,6 +443,25 @@ const connectDB = async () => {
     console.log(`📊 Database: ${conn.connection.name}`);
     console.log('✅ ========================================\n');
 
+    // ✅ Seed built-in roles (content-editor, catalog-manager, sales-rep, ...)
+    const seededRoles = await Role.syncDefaults();
+    if (seededRoles.length > 0) {
+      console.log('🛡️ Seeded roles:', seededRoles.join(', '));
+    }
+
+    // ✅ Company accounts from before organizations existed become owners.
+    // Not fatal: the API keeps serving and the next start tries again.
+    try {
+      const backfilled = await Organization.backfillCompanyAccounts();
+      if (backfilled > 0) {
+        console.log(`🏢 Created ${backfilled} organization(s) for existing company accounts`);
+      }
+    } catch (error) {
+      console.error('❌ Organization backfill failed:', error.message);
+    }
+
+    // Stock from before the inventory ledger: POST /api/inventory/backfill
+
     mongoose.connection.on('disconnected', () => {
       console.log('⚠️ MongoDB disconnected');
     });
@@ -488,6 +484,8 @@ connectDB();
 app.use('/api/auth/login', loginLimiter);
 app.use('/api/auth/register', strictLimiter);
 app.use('/api/auth/forgot-password', strictLimiter);
+app.use('/api/auth/reset-password', strictLimiter);
+app.use('/api/auth/resend-verification', strictLimiter);
 app.use('/api/', apiLimiter);
 
 // ========================================
@@ -499,15 +497,35 @@ const galleryRoutes = require('./routes/gallery');
 const contactRoutes = require('./routes/contact');
 const contentRoutes = require('./routes/content');
 const usersRoutes = require('./routes/users');
+const quotationRoutes = require('./routes/quotations');
+const orderRoutes = require('./routes/orders');
+const translationRoutes = require('./routes/translations');
+const roleRoutes = require('./routes/roles');
+const companyVerificationRoutes = require('./routes/companyVerification');
+const organizationRoutes = require('./routes/organizations');
+const priceListRoutes = require('./routes/priceLists');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const inventoryRoutes = require('./routes/inventory');
+const certificationRoutes = require('./routes/certifications');
 
 app.use('/api/auth', authRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/gallery', galleryRoutes);
+app.use('/api/products', localizeResponse, productRoutes);
+app.use('/api/gallery', localizeResponse, galleryRoutes);
 app.use('/api/contact', contactRoutes);
-app.use('/api/content', contentRoutes);
+app.use('/api/content', localizeResponse, contentRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/upload', uploadRoutes);
-app.use('/api/categories', categoryRoutes);
+app.use('/api/categories', localizeResponse, categoryRoutes);
+app.use('/api/quotations', quotationRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/translations', translationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/company-verification', companyVerificationRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/inventory', inventoryRoutes);
+app.use('/api/certifications', certificationRoutes);
 
 // ========================================
 // ANALYTICS API
@@ -536,6 +554,17 @@ app.get('/api/analytics', async (req, res) => {
   }
 });
 
+// ========================================
+// LOCALES API
+// ========================================
+app.get('/api/locales', (req, res) => {
+  res.json({
+    success: true,
+    locales: getLocaleInfo(),
+    defaultLocale: DEFAULT_LOCALE
+  });
+});
+
 // ========================================
 // HEALTH CHECK
 // ========================================
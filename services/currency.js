@@ -0,0 +1,116 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY } = require('../config/pricing');
+const { isCurrency, currencyDecimals, roundAmount, ROUNDING_MODE } = require('../config/currencies');
+
+// ========================================
+// CURRENCY CONVERSION (?currency=)
+// ========================================
+// Rules, applied the same way on every converted read:
+//   - rates go through BASE_CURRENCY: amount / rate(from) * rate(to)
+//   - every unit price is converted, then rounded to the target currency's
+//     minor units with CURRENCY_ROUNDING (config/currencies.js)
+//   - line totals are rounded unit price × quantity, rounded again; subtotals
+//     are the sum of rounded line totals - so converted documents add up
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Rates are shown with 6 significant digits
+const displayRate = (rate) => Number(rate.toPrecision(6));
+
+/**
+ * Converter into `target`, or null when no target was asked for.
+ * Rejects with a 400 error for unsupported currencies and missing rates.
+ */
+const createConverter = async (target) => {
+  if (!target) return null;
+
+  const to = String(target).trim().toUpperCase();
+  if (!isCurrency(to)) {
+    throw badRequest(`Unsupported currency '${target}'`);
+  }
+
+  const rates = await ExchangeRate.getRates();
+
+  const rateOf = (currency) => {
+    const entry = rates.get(currency);
+    if (!entry) {
+      throw badRequest(`No exchange rate for ${currency}`);
+    }
+    return entry.rate;
+  };
+
+  rateOf(to);
+
+  const rate = (from) => rateOf(to) / rateOf(from || BASE_CURRENCY);
+
+  return {
+    currency: to,
+    rate,
+    convert: (amount, from) => (amount === undefined || amount === null
+      ? amount
+      : roundAmount(amount * rate(from), to)),
+    // Disclosed on every converted payload
+    describe: (from) => {
+      const source = from || BASE_CURRENCY;
+      const updated = [rates.get(source).updatedAt, rates.get(to).updatedAt].filter(Boolean);
+      return {
+        from: source,
+        to,
+        rate: displayRate(rate(source)),
+        rounding: ROUNDING_MODE,
+        decimals: currencyDecimals(to),
+        ratesAsOf: updated.length > 0 ? new Date(Math.min(...updated.map(date => new Date(date).getTime()))) : null
+      };
+    }
+  };
+};
+
+// ✅ Resolved product pricing (services/pricing.js) in the target currency
+const convertPricing = (pricing, converter) => {
+  if (!pricing || !converter || pricing.currency === converter.currency) return pricing;
+
+  const from = pricing.currency;
+  return {
+    ...pricing,
+    currency: converter.currency,
+    unitPrice: converter.convert(pricing.unitPrice, from),
+    tiers: pricing.tiers.map(tier => ({ ...tier, price: converter.convert(tier.price, from) })),
+    conversion: converter.describe(from)
+  };
+};
+
+// ✅ Plain quotation/order object with items and subtotal in the target currency
+const convertDocumentTotals = (data, converter) => {
+  if (!converter || data.currency === converter.currency) return data;
+
+  const from = data.currency || BASE_CURRENCY;
+  const to = converter.currency;
+  let subtotal = 0;
+
+  const items = (data.items || []).map(item => {
+    if (item.unitPrice === undefined || item.unitPrice === null) return item;
+
+    const unitPrice = converter.convert(item.unitPrice, from);
+    const totalPrice = roundAmount(unitPrice * item.quantity, to);
+    subtotal += totalPrice;
+    return { ...item, unitPrice, totalPrice };
+  });
+
+  return {
+    ...data,
+    items,
+    currency: to,
+    subtotal: roundAmount(subtotal, to),
+    conversion: converter.describe(from)
+  };
+};
+
+module.exports = {
+  createConverter,
+  convertPricing,
+  convertDocumentTotals
+};
@@ -0,0 +1,490 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Warehouse = require('../models/Warehouse');
+const StockLevel = require('../models/StockLevel');
+const StockMovement = require('../models/StockMovement');
+const { notifyLowStock } = require('./mail');
+
+// ========================================
+// INVENTORY
+// ========================================
+// Stock is kept per stock-keeping unit (a product, or one of its variants)
+// and warehouse in StockLevel; every change goes through moveStock() and
+// leaves a StockMovement behind. Product.stock / variants.stock are the
+// available quantities across warehouses, refreshed after each change for
+// catalog reads and filters.
+
+const inventoryError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const normalizeSku = (sku) => (sku ? String(sku).trim().toUpperCase() : null);
+
+const unitName = (product, sku) => `${(product.name && product.name.en) || product._id}${sku ? ` (${sku})` : ''}`;
+
+const toQuantity = (value, field = 'quantity') => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw inventoryError(`${field} must be a positive whole number`);
+  }
+  return quantity;
+};
+
+// ✅ Product (with variants) and normalized SKU for a stock-keeping unit
+const loadStockUnit = async (productId, sku) => {
+  const product = mongoose.isValidObjectId(productId) ? await Product.findById(productId) : null;
+  if (!product) throw inventoryError('Product not found', 404);
+
+  const code = normalizeSku(sku);
+  if (!code && product.variants.length > 0) {
+    throw inventoryError('This product has variants - stock is kept per SKU');
+  }
+  if (code && !product.getVariant(code)) {
+    throw inventoryError(`Variant ${code} not found`, 404);
+  }
+
+  return { product, sku: code };
+};
+
+const loadWarehouse = async (warehouseId) => {
+  if (!warehouseId) return Warehouse.getDefault();
+
+  const warehouse = mongoose.isValidObjectId(warehouseId)
+    ? await Warehouse.findById(warehouseId)
+    : await Warehouse.findOne({ code: String(warehouseId).toUpperCase() });
+
+  if (!warehouse) throw inventoryError('Warehouse not found', 404);
+  if (!warehouse.isActive) throw inventoryError(`Warehouse ${warehouse.code} is inactive`);
+  return warehouse;
+};
+
+/**
+ * Apply one movement to a stock level and record it. The change only goes
+ * through if reserved stays within 0..onHand; returns null otherwise.
+ * Levels are created by the first movement that only adds stock.
+ */
+const moveStock = async ({
+  product, sku = null, warehouse, type, onHandChange = 0, reservedChange = 0,
+  reason, reference, order, transferId, userId
+}) => {
+  const addsOnly = onHandChange >= 0 && reservedChange >= 0 && onHandChange >= reservedChange;
+  const filter = { product, sku, warehouse };
+
+  if (!addsOnly) {
+    filter.$expr = {
+      $and: [
+        { $gte: [{ $add: ['$onHand', onHandChange] }, { $add: ['$reserved', reservedChange] }] },
+        { $gte: [{ $add: ['$reserved', reservedChange] }, 0] }
+      ]
+    };
+  }
+
+  const level = await StockLevel.findOneAndUpdate(
+    filter,
+    { $inc: { onHand: onHandChange, reserved: reservedChange } },
+    { new: true, upsert: addsOnly, setDefaultsOnInsert: true }
+  );
+  if (!level) return null;
+
+  const movement = await StockMovement.create({
+    product,
+    sku,
+    warehouse,
+    type,
+    onHandChange,
+    reservedChange,
+    onHandAfter: level.onHand,
+    reservedAfter: level.reserved,
+    reason,
+    reference,
+    order,
+    transferId,
+    createdBy: userId
+  });
+
+  return { level, movement };
+};
+
+// ========================================
+// AVAILABILITY & LOW-STOCK ALERTS
+// ========================================
+
+// ✅ Threshold of a unit: the variant's own, else the product's (null = no alerts)
+const lowStockThreshold = (product, variant = null) => {
+  if (variant && variant.lowStockThreshold !== undefined && variant.lowStockThreshold !== null) {
+    return variant.lowStockThreshold;
+  }
+  return product.lowStockThreshold;
+};
+
+// ✅ Alert admins once when a unit drops to its threshold; re-arm when it recovers
+const checkLowStock = async (productId, sku, available) => {
+  const product = await Product.findById(productId).select('name lowStockThreshold variants lowStockAlerts');
+  if (!product) return;
+
+  const threshold = lowStockThreshold(product, sku ? product.getVariant(sku) : null);
+  const key = sku || '';
+  const isLow = threshold !== undefined && threshold !== null && available <= threshold;
+
+  if (!isLow) {
+    if ((product.lowStockAlerts || []).includes(key)) {
+      await Product.updateOne({ _id: productId }, { $pull: { lowStockAlerts: key } });
+    }
+    return;
+  }
+
+  // Conditional update so concurrent movements send a single alert
+  const result = await Product.updateOne(
+    { _id: productId, lowStockAlerts: { $ne: key } },
+    { $addToSet: { lowStockAlerts: key } }
+  );
+  if (result.modifiedCount === 0) return;
+
+  console.log(`📉 Low stock: ${unitName(product, sku)} - ${available} available (threshold ${threshold})`);
+  notifyLowStock(product, sku, available, threshold).catch(error => {
+    console.error('❌ Low-stock notification error:', error.message);
+  });
+};
+
+// ✅ Recompute the catalog quantity of a unit from its stock levels
+const refreshAvailability = async (productId, sku = null) => {
+  const [totals] = await StockLevel.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), sku } },
+    { $group: { _id: null, available: { $sum: { $subtract: ['$onHand', '$reserved'] } } } }
+  ]);
+  const available = totals ? totals.available : 0;
+
+  if (sku) {
+    await Product.updateOne(
+      { _id: productId },
+      { $set: { 'variants.$[variant].stock': available } },
+      { arrayFilters: [{ 'variant.sku': sku }] }
+    );
+    await Product.updateOne({ _id: productId }, [{ $set: { stock: { $sum: '$variants.stock' } } }]);
+  } else {
+    await Product.updateOne({ _id: productId }, { $set: { stock: available } });
+  }
+
+  await checkLowStock(productId, sku, available);
+  return available;
+};
+
+// ========================================
+// MANUAL MOVEMENTS (back office)
+// ========================================
+
+// ✅ Goods in
+const receiveStock = async ({ product: productId, sku, warehouse: warehouseId, quantity, reason, reference }, userId) => {
+  const { product, sku: code } = await loadStockUnit(productId, sku);
+  const warehouse = await loadWarehouse(warehouseId);
+
+  const result = await moveStock({
+    product: product._id,
+    sku: code,
+    warehouse: warehouse._id,
+    type: 'receipt',
+    onHandChange: toQuantity(quantity),
+    reason,
+    reference,
+    userId
+  });
+
+  await refreshAvailability(product._id, code);
+  return result;
+};
+
+/**
+ * Correct on-hand stock, either by a signed `quantity` or to a `countedQuantity`
+ * (stock take). A reason is required; stock cannot drop below what is reserved.
+ */
+const adjustStock = async ({ product: productId, sku, warehouse: warehouseId, quantity, countedQuantity, reason, reference }, userId) => {
+  if (!reason || !String(reason).trim()) {
+    throw inventoryError('A reason is required for adjustments');
+  }
+
+  const { product, sku: code } = await loadStockUnit(productId, sku);
+  const warehouse = await loadWarehouse(warehouseId);
+
+  let change;
+  if (countedQuantity !== undefined && countedQuantity !== null) {
+    const counted = Number(countedQuantity);
+    if (!Number.isInteger(counted) || counted < 0) {
+      throw inventoryError('countedQuantity must be a whole number of at least 0');
+    }
+    const level = await StockLevel.findOne({ product: product._id, sku: code, warehouse: warehouse._id });
+    change = counted - (level ? level.onHand : 0);
+  } else {
+    change = Number(quantity);
+    if (!Number.isInteger(change)) {
+      throw inventoryError('quantity must be a whole number (negative to remove stock)');
+    }
+  }
+
+  if (change === 0) {
+    throw inventoryError('The adjustment does not change the stock');
+  }
+
+  const result = await moveStock({
+    product: product._id,
+    sku: code,
+    warehouse: warehouse._id,
+    type: 'adjustment',
+    onHandChange: change,
+    reason,
+    reference,
+    userId
+  });
+
+  if (!result) {
+    throw inventoryError(`Cannot remove ${-change} unit(s) of ${unitName(product, code)} from ${warehouse.code}: not enough unreserved stock`, 409);
+  }
+
+  await refreshAvailability(product._id, code);
+  return result;
+};
+
+// ✅ Move available stock between warehouses (two linked movements)
+const transferStock = async ({ product: productId, sku, from, to, quantity, reason, reference }, userId) => {
+  if (!from || !to) {
+    throw inventoryError('Source (from) and target (to) warehouses are required');
+  }
+
+  const { product, sku: code } = await loadStockUnit(productId, sku);
+  const source = await loadWarehouse(from);
+  const target = await loadWarehouse(to);
+  const units = toQuantity(quantity);
+
+  if (source._id.equals(target._id)) {
+    throw inventoryError('Source and target warehouse are the same');
+  }
+
+  const transferId = new mongoose.Types.ObjectId();
+  const common = { product: product._id, sku: code, type: 'transfer', reason, reference, transferId, userId };
+
+  const out = await moveStock({ ...common, warehouse: source._id, onHandChange: -units });
+  if (!out) {
+    throw inventoryError(`Not enough unreserved stock of ${unitName(product, code)} in ${source.code}`, 409);
+  }
+
+  const into = await moveStock({ ...common, warehouse: target._id, onHandChange: units });
+  return { transferId, movements: [out.movement, into.movement] };
+};
+
+// ========================================
+// ORDERS
+// ========================================
+// Placing an order reserves stock (default warehouse first, then those with
+// the most available), recording where it came from in item.allocations.
+// Cancelling releases the reservation; shipping takes it out of stock.
+
+const reserveLine = async (order, item, userId) => {
+  const sku = item.sku || null;
+  const warehouses = await Warehouse.find({ isActive: true }).select('_id isDefault');
+  const defaultIds = new Set(warehouses.filter(w => w.isDefault).map(w => w._id.toString()));
+
+  const levels = (await StockLevel.find({
+    product: item.product,
+    sku,
+    warehouse: { $in: warehouses.map(w => w._id) }
+  }))
+    .filter(level => level.available > 0)
+    .sort((a, b) => (defaultIds.has(b.warehouse.toString()) - defaultIds.has(a.warehouse.toString())) ||
+      (b.available - a.available));
+
+  const allocations = [];
+  let remaining = item.quantity;
+
+  for (const level of levels) {
+    if (remaining === 0) break;
+
+    const quantity = Math.min(remaining, level.available);
+    const result = await moveStock({
+      product: item.product,
+      sku,
+      warehouse: level.warehouse,
+      type: 'reservation',
+      reservedChange: quantity,
+      order: order._id,
+      userId
+    });
+
+    // Taken by someone else in the meantime - try the next warehouse
+    if (!result) continue;
+
+    allocations.push({ warehouse: level.warehouse, quantity });
+    remaining -= quantity;
+  }
+
+  if (remaining > 0) {
+    await releaseAllocations(order, { product: item.product, sku, allocations }, userId, 'Insufficient stock - order not placed');
+    await refreshAvailability(item.product, sku);
+
+    const error = inventoryError(`Insufficient stock for ${sku ? `variant ${sku}` : `product ${item.product}`}`, 409);
+    error.product = item.product;
+    error.sku = sku;
+    throw error;
+  }
+
+  await refreshAvailability(item.product, sku);
+  return allocations;
+};
+
+const releaseAllocations = async (order, item, userId, reason) => {
+  for (const allocation of item.allocations) {
+    const result = await moveStock({
+      product: item.product,
+      sku: item.sku || null,
+      warehouse: allocation.warehouse,
+      type: 'release',
+      reservedChange: -allocation.quantity,
+      reason,
+      order: order._id,
+      userId
+    });
+
+    if (!result) {
+      console.error(`⚠️ Could not release ${allocation.quantity} reserved unit(s) of ${item.product} ${item.sku || ''} for order ${order._id}`);
+    }
+  }
+};
+
+// ✅ Reserve every line of a new order (sets item.allocations) - all or nothing
+const reserveOrderStock = async (order, userId) => {
+  const reserved = [];
+
+  try {
+    for (const item of order.items) {
+      item.allocations = await reserveLine(order, item, userId);
+      reserved.push(item);
+    }
+  } catch (error) {
+    await releaseOrderStock({ _id: order._id, items: reserved }, userId, 'Order not placed');
+    throw error;
+  }
+};
+
+// ✅ Give an order's reserved stock back (cancellation / failed save)
+const releaseOrderStock = async (order, userId, reason = 'Order cancelled') => {
+  for (const item of order.items) {
+    const sku = item.sku || null;
+
+    if (item.allocations && item.allocations.length > 0) {
+      await releaseAllocations(order, item, userId, reason);
+    } else {
+      // Orders placed before inventory tracking took stock straight off the
+      // product, so it comes back as an adjustment in the default warehouse
+      const warehouse = await Warehouse.getDefault();
+      await moveStock({
+        product: item.product,
+        sku,
+        warehouse: warehouse._id,
+        type: 'adjustment',
+        onHandChange: item.quantity,
+        reason: `${reason} (order placed before inventory tracking)`,
+        order: order._id,
+        userId
+      });
+    }
+
+    await refreshAvailability(item.product, sku);
+  }
+};
+
+// ✅ Reserved stock leaves the warehouses
+const shipOrderStock = async (order, userId) => {
+  for (const item of order.items) {
+    const sku = item.sku || null;
+
+    for (const allocation of item.allocations || []) {
+      const result = await moveStock({
+        product: item.product,
+        sku,
+        warehouse: allocation.warehouse,
+        type: 'shipment',
+        onHandChange: -allocation.quantity,
+        reservedChange: -allocation.quantity,
+        order: order._id,
+        userId
+      });
+
+      if (!result) {
+        console.error(`⚠️ Could not ship ${allocation.quantity} unit(s) of ${item.product} ${sku || ''} for order ${order._id}`);
+      }
+    }
+
+    await refreshAvailability(item.product, sku);
+  }
+};
+
+// ========================================
+// OPENING STOCK
+// ========================================
+
+// ✅ Record the stock a product was created with as receipts in the default
+// warehouse (all units, or only `skus`)
+const recordOpeningStock = async (product, userId, skus = null) => {
+  const warehouse = await Warehouse.getDefault();
+  const units = product.variants.length > 0
+    ? product.variants
+      .filter(variant => !skus || skus.includes(variant.sku))
+      .map(variant => ({ sku: variant.sku, quantity: variant.stock }))
+    : [{ sku: null, quantity: product.stock }];
+
+  for (const { sku, quantity } of units) {
+    if (!(quantity > 0)) continue;
+
+    await moveStock({
+      product: product._id,
+      sku,
+      warehouse: warehouse._id,
+      type: 'receipt',
+      onHandChange: quantity,
+      reason: 'Opening stock',
+      userId
+    });
+    await refreshAvailability(product._id, sku);
+  }
+};
+
+// ✅ Products stocked before inventory tracking get their current stock as an
+// opening balance - a one-off run through POST /api/inventory/backfill.
+// A product that fails is reported and skipped, the others still go through.
+const backfillStockLevels = async (userId) => {
+  const tracked = await StockLevel.distinct('product');
+  const products = await Product.find({
+    _id: { $nin: tracked },
+    $or: [{ stock: { $gt: 0 } }, { 'variants.stock': { $gt: 0 } }]
+  });
+
+  let backfilled = 0;
+  const errors = [];
+
+  for (const product of products) {
+    try {
+      await recordOpeningStock(product, userId);
+      backfilled += 1;
+    } catch (error) {
+      console.error(`❌ Could not record opening stock for ${product.sku || product._id}:`, error.message);
+      errors.push({ product: product._id, sku: product.sku, message: error.message });
+    }
+  }
+
+  return { backfilled, errors };
+};
+
+module.exports = {
+  moveStock,
+  refreshAvailability,
+  receiveStock,
+  adjustStock,
+  transferStock,
+  reserveOrderStock,
+  releaseOrderStock,
+  shipOrderStock,
+  recordOpeningStock,
+  backfillStockLevels,
+  lowStockThreshold,
+  normalizeSku
+};
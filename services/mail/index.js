@@ -0,0 +1,252 @@
+const User = require('../../models/User');
+const { createTransport } = require('./transports');
+const { renderTemplate } = require('./templates');
+const { LOCALES, DEFAULT_LOCALE } = require('../../config/locales');
+
+// ========================================
+// MAIL SERVICE
+// ========================================
+// MAIL_TRANSPORT  smtp | file | console (default: smtp in production when
+//                 SMTP_HOST is set, console otherwise)
+// MAIL_FROM       sender address
+// ADMIN_NOTIFICATION_EMAIL  comma-separated admin recipients (default: all
+//                 active admin accounts)
+
+const MAIL_FROM = process.env.MAIL_FROM || 'OliveGardens <no-reply@olivegardens.com>';
+
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.NODE_ENV === 'production' && process.env.SMTP_HOST ? 'smtp' : 'console';
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(resolveTransportName());
+    console.log('📧 Mail transport:', transport.name);
+  }
+  return transport;
+};
+
+const clientUrl = (pathname) =>
+  `${(process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '')}${pathname}`;
+
+const userLocale = (user) =>
+  (user && LOCALES.includes(user.preferredLanguage) ? user.preferredLanguage : DEFAULT_LOCALE);
+
+const displayName = (user) => (user && (user.fullName || user.contactPerson || user.email)) || '';
+
+// ✅ Render and send a template. Rejects on failure.
+const sendTemplate = async (name, { to, locale = DEFAULT_LOCALE, data = {} }) => {
+  if (!to || (Array.isArray(to) && to.length === 0)) {
+    throw new Error(`No recipient for email '${name}'`);
+  }
+
+  const { subject, text, html } = renderTemplate(name, locale, data);
+  const recipients = Array.isArray(to) ? to.join(', ') : to;
+
+  const result = await getTransport().send({ from: MAIL_FROM, to: recipients, subject, text, html });
+  console.log(`📧 Email '${name}' sent to ${recipients}`);
+  return result;
+};
+
+// ✅ Fire-and-forget variant for notifications: never rejects, never blocks a response
+const deliver = (name, options) =>
+  sendTemplate(name, options).catch(error => {
+    console.error(`❌ Failed to send email '${name}':`, error.message);
+    return null;
+  });
+
+const getAdminRecipients = async () => {
+  if (process.env.ADMIN_NOTIFICATION_EMAIL) {
+    return process.env.ADMIN_NOTIFICATION_EMAIL.split(',').map(email => email.trim()).filter(Boolean);
+  }
+
+  const admins = await User.find({ role: { $in: ['admin', 'superadmin'] }, isActive: true }).select('email');
+  return admins.map(admin => admin.email);
+};
+
+// ========================================
+// HOOKS
+// ========================================
+
+const notifyContactSubmitted = async (contact, locale = DEFAULT_LOCALE) => {
+  const data = {
+    name: contact.name,
+    email: contact.email,
+    phone: contact.phone,
+    company: contact.company,
+    subject: contact.subject,
+    message: contact.message,
+    inquiryType: contact.inquiryType
+  };
+
+  await Promise.all([
+    deliver('contactReceived', { to: contact.email, locale, data }),
+    getAdminRecipients().then(to => deliver('contactNotification', { to, data }))
+  ]);
+};
+
+const sendVerificationEmail = (user, verificationToken, template = 'emailVerification') =>
+  sendTemplate(template, {
+    to: user.email,
+    locale: userLocale(user),
+    data: {
+      name: displayName(user),
+      verifyUrl: clientUrl(`/verify-email/${verificationToken}`)
+    }
+  });
+
+const notifyRegistration = (user, verificationToken) =>
+  sendVerificationEmail(user, verificationToken, 'welcome').catch(error => {
+    console.error('❌ Failed to send welcome email:', error.message);
+    return null;
+  });
+
+const sendPasswordResetEmail = (user, resetToken) =>
+  sendTemplate('passwordReset', {
+    to: user.email,
+    locale: userLocale(user),
+    data: {
+      name: displayName(user),
+      resetUrl: clientUrl(`/reset-password/${resetToken}`)
+    }
+  });
+
+const notifyPasswordChanged = (user) =>
+  deliver('passwordChanged', {
+    to: user.email,
+    locale: userLocale(user),
+    data: { name: displayName(user) }
+  });
+
+const notifyDeletionRequested = async (user) => {
+  const data = {
+    name: displayName(user),
+    email: user.email,
+    reason: (user.deletionRequest && user.deletionRequest.reason) || '-',
+    scheduledFor: user.deletionRequest.scheduledFor.toISOString().slice(0, 10)
+  };
+
+  await Promise.all([
+    deliver('accountDeletionRequested', { to: user.email, locale: userLocale(user), data }),
+    getAdminRecipients().then(to => deliver('accountDeletionNotification', { to, data }))
+  ]);
+};
+
+const notifyVerificationSubmitted = async (user) => {
+  const to = await getAdminRecipients();
+  return deliver('companyVerificationSubmitted', {
+    to,
+    data: {
+      companyName: user.companyName,
+      email: user.email,
+      registrationNumber: user.companyRegistrationNumber,
+      taxId: user.taxId,
+      documentCount: user.companyVerification.documents.length
+    }
+  });
+};
+
+// Approved / rejected
+const notifyVerificationDecision = (user) => {
+  const { status, rejectionReason } = user.companyVerification;
+  const template = status === 'verified' ? 'companyVerificationApproved' : 'companyVerificationRejected';
+
+  return deliver(template, {
+    to: user.email,
+    locale: userLocale(user),
+    data: {
+      name: displayName(user),
+      companyName: user.companyName,
+      reason: rejectionReason || '-'
+    }
+  });
+};
+
+// ✅ Invitation link for a new organization member. Rejects on failure.
+const sendOrganizationInvitation = (organization, invitation, token, inviter, locale) =>
+  sendTemplate('organizationInvitation', {
+    to: invitation.email,
+    locale: LOCALES.includes(locale) ? locale : userLocale(inviter),
+    data: {
+      organizationName: organization.name,
+      inviterName: displayName(inviter),
+      role: invitation.role,
+      expiresAt: invitation.expiresAt.toISOString().slice(0, 10),
+      acceptUrl: clientUrl(`/organization-invitation/${token}`)
+    }
+  });
+
+// Buyers hear about sent/expired quotes; admins hear about accept/reject
+const notifyQuotationStatus = async (quotation) => {
+  const customer = await User.findById(quotation.requestedBy);
+
+  const data = {
+    name: (quotation.customer && quotation.customer.name) || displayName(customer),
+    email: (quotation.customer && quotation.customer.email) || (customer && customer.email),
+    quoteNumber: quotation.quoteNumber,
+    status: quotation.status,
+    subtotal: quotation.subtotal,
+    currency: quotation.currency,
+    incoterm: quotation.incoterm,
+    validUntil: quotation.validUntil ? quotation.validUntil.toISOString().slice(0, 10) : '-'
+  };
+
+  if (['accepted', 'rejected'].includes(quotation.status)) {
+    const to = await getAdminRecipients();
+    return deliver('quotationResponse', { to, data });
+  }
+
+  return deliver('quotationStatus', { to: data.email, locale: userLocale(customer), data });
+};
+
+const notifyOrderStatus = async (order, note) => {
+  const customer = await User.findById(order.customer);
+  if (!customer) return null;
+
+  return deliver('orderStatus', {
+    to: customer.email,
+    locale: userLocale(customer),
+    data: {
+      name: displayName(customer),
+      orderNumber: order.orderNumber,
+      status: order.status,
+      note: note || '',
+      trackingNumber: (order.shipment && order.shipment.trackingNumber) || '-'
+    }
+  });
+};
+
+const notifyLowStock = async (product, sku, available, threshold) => {
+  const to = await getAdminRecipients();
+  return deliver('lowStockAlert', {
+    to,
+    data: {
+      productName: (product.name && product.name.en) || String(product._id),
+      sku: sku || '',
+      available,
+      threshold,
+      inventoryUrl: clientUrl(`/admin/inventory/${product._id}`)
+    }
+  });
+};
+
+module.exports = {
+  sendTemplate,
+  deliver,
+  getAdminRecipients,
+  notifyContactSubmitted,
+  notifyRegistration,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  notifyPasswordChanged,
+  notifyDeletionRequested,
+  notifyVerificationSubmitted,
+  notifyVerificationDecision,
+  sendOrganizationInvitation,
+  notifyQuotationStatus,
+  notifyOrderStatus,
+  notifyLowStock
+};
@@ -0,0 +1,253 @@
+const { RTL_LOCALES } = require('../../config/locales');
+
+// ========================================
+// EMAIL TEMPLATES
+// ========================================
+// Each template has a localized subject and body. {{name}} placeholders are
+// filled from the data passed to sendTemplate(); values are HTML-escaped in
+// the HTML version. Missing locales fall back to English.
+
+const templates = {
+  // Sent to the visitor after POST /api/contact
+  contactReceived: {
+    subject: {
+      en: 'We received your message: {{subject}}',
+      ar: 'تم استلام رسالتك: {{subject}}',
+      es: 'Hemos recibido tu mensaje: {{subject}}'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nThank you for contacting OliveGardens. Our team has received your message and will get back to you shortly.\n\nYour message:\n{{message}}',
+      ar: 'مرحباً {{name}}،\n\nشكراً لتواصلك مع OliveGardens. لقد استلم فريقنا رسالتك وسيتواصل معك قريباً.\n\nرسالتك:\n{{message}}',
+      es: 'Hola {{name}},\n\nGracias por contactar con OliveGardens. Nuestro equipo ha recibido tu mensaje y te responderá en breve.\n\nTu mensaje:\n{{message}}'
+    }
+  },
+
+  // Sent to admins for every new inquiry
+  contactNotification: {
+    subject: {
+      en: 'New {{inquiryType}} inquiry from {{name}}'
+    },
+    body: {
+      en: 'A new inquiry was submitted.\n\nName: {{name}}\nEmail: {{email}}\nPhone: {{phone}}\nCompany: {{company}}\nType: {{inquiryType}}\nSubject: {{subject}}\n\n{{message}}'
+    }
+  },
+
+  // Sent after registration
+  welcome: {
+    subject: {
+      en: 'Welcome to OliveGardens',
+      ar: 'مرحباً بك في OliveGardens',
+      es: 'Bienvenido a OliveGardens'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nYour account has been created. Please confirm your email address by opening the link below (valid for 24 hours):\n\n{{verifyUrl}}',
+      ar: 'مرحباً {{name}}،\n\nتم إنشاء حسابك. يرجى تأكيد بريدك الإلكتروني بفتح الرابط التالي (صالح لمدة 24 ساعة):\n\n{{verifyUrl}}',
+      es: 'Hola {{name}},\n\nTu cuenta ha sido creada. Confirma tu correo electrónico abriendo el siguiente enlace (válido durante 24 horas):\n\n{{verifyUrl}}'
+    }
+  },
+
+  emailVerification: {
+    subject: {
+      en: 'Confirm your email address',
+      ar: 'تأكيد بريدك الإلكتروني',
+      es: 'Confirma tu correo electrónico'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nPlease confirm your email address by opening the link below (valid for 24 hours):\n\n{{verifyUrl}}',
+      ar: 'مرحباً {{name}}،\n\nيرجى تأكيد بريدك الإلكتروني بفتح الرابط التالي (صالح لمدة 24 ساعة):\n\n{{verifyUrl}}',
+      es: 'Hola {{name}},\n\nConfirma tu correo electrónico abriendo el siguiente enlace (válido durante 24 horas):\n\n{{verifyUrl}}'
+    }
+  },
+
+  passwordReset: {
+    subject: {
+      en: 'Reset your password',
+      ar: 'إعادة تعيين كلمة المرور',
+      es: 'Restablece tu contraseña'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nWe received a request to reset your password. Open the link below to choose a new one (valid for 10 minutes):\n\n{{resetUrl}}\n\nIf you did not request this, you can ignore this email.',
+      ar: 'مرحباً {{name}}،\n\nتلقينا طلباً لإعادة تعيين كلمة المرور. افتح الرابط التالي لاختيار كلمة مرور جديدة (صالح لمدة 10 دقائق):\n\n{{resetUrl}}\n\nإذا لم تطلب ذلك، يمكنك تجاهل هذه الرسالة.',
+      es: 'Hola {{name}},\n\nHemos recibido una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva (válido durante 10 minutos):\n\n{{resetUrl}}\n\nSi no lo solicitaste, puedes ignorar este correo.'
+    }
+  },
+
+  passwordChanged: {
+    subject: {
+      en: 'Your password was changed',
+      ar: 'تم تغيير كلمة المرور',
+      es: 'Tu contraseña ha sido cambiada'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nThe password of your OliveGardens account was just changed. If this was not you, please contact us immediately.',
+      ar: 'مرحباً {{name}}،\n\nتم تغيير كلمة مرور حسابك في OliveGardens للتو. إذا لم تقم بذلك، يرجى التواصل معنا فوراً.',
+      es: 'Hola {{name}},\n\nLa contraseña de tu cuenta de OliveGardens acaba de cambiar. Si no has sido tú, contáctanos de inmediato.'
+    }
+  },
+
+  // Sent to the user after POST /api/auth/me/deletion-request
+  accountDeletionRequested: {
+    subject: {
+      en: 'Your account deletion request',
+      ar: 'طلب حذف حسابك',
+      es: 'Tu solicitud de eliminación de cuenta'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nWe received your request to delete your OliveGardens account. It will be deleted on or after {{scheduledFor}}.\n\nChanged your mind? Log in and cancel the request before that date.',
+      ar: 'مرحباً {{name}}،\n\nتلقينا طلبك لحذف حسابك في OliveGardens. سيتم حذفه في {{scheduledFor}} أو بعده.\n\nهل غيرت رأيك؟ سجّل الدخول وألغِ الطلب قبل هذا التاريخ.',
+      es: 'Hola {{name}},\n\nHemos recibido tu solicitud para eliminar tu cuenta de OliveGardens. Se eliminará a partir del {{scheduledFor}}.\n\n¿Has cambiado de opinión? Inicia sesión y cancela la solicitud antes de esa fecha.'
+    }
+  },
+
+  // Sent to admins when a user asks for account deletion
+  accountDeletionNotification: {
+    subject: {
+      en: 'Account deletion requested by {{email}}'
+    },
+    body: {
+      en: 'The user {{name}} ({{email}}) asked to delete their account.\nScheduled for: {{scheduledFor}}\nReason: {{reason}}'
+    }
+  },
+
+  // Sent to admins when a company submits verification documents
+  companyVerificationSubmitted: {
+    subject: {
+      en: 'Company verification request: {{companyName}}'
+    },
+    body: {
+      en: '{{companyName}} ({{email}}) submitted {{documentCount}} document(s) for verification.\nRegistration number: {{registrationNumber}}\nTax ID: {{taxId}}'
+    }
+  },
+
+  companyVerificationApproved: {
+    subject: {
+      en: 'Your company account is verified',
+      ar: 'تم توثيق حساب شركتك',
+      es: 'Tu cuenta de empresa ha sido verificada'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nGood news: {{companyName}} is now verified. Wholesale prices and quotation requests are available in your account.',
+      ar: 'مرحباً {{name}}،\n\nأخبار سارة: تم توثيق {{companyName}}. أصبحت أسعار الجملة وطلبات عروض الأسعار متاحة في حسابك.',
+      es: 'Hola {{name}},\n\nBuenas noticias: {{companyName}} ya está verificada. Los precios mayoristas y las solicitudes de cotización están disponibles en tu cuenta.'
+    }
+  },
+
+  companyVerificationRejected: {
+    subject: {
+      en: 'Your company verification needs attention',
+      ar: 'توثيق شركتك يحتاج إلى مراجعة',
+      es: 'La verificación de tu empresa necesita atención'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nWe could not verify {{companyName}}.\nReason: {{reason}}\n\nYou can upload corrected documents and submit again from your account.',
+      ar: 'مرحباً {{name}}،\n\nلم نتمكن من توثيق {{companyName}}.\nالسبب: {{reason}}\n\nيمكنك رفع مستندات مصححة وإعادة الإرسال من حسابك.',
+      es: 'Hola {{name}},\n\nNo hemos podido verificar {{companyName}}.\nMotivo: {{reason}}\n\nPuedes subir documentos corregidos y enviarlos de nuevo desde tu cuenta.'
+    }
+  },
+
+  // Sent to a colleague invited to a company organization
+  organizationInvitation: {
+    subject: {
+      en: 'Join {{organizationName}} on OliveGardens',
+      ar: 'انضم إلى {{organizationName}} على OliveGardens',
+      es: 'Únete a {{organizationName}} en OliveGardens'
+    },
+    body: {
+      en: 'Hello,\n\n{{inviterName}} invited you to join {{organizationName}} on OliveGardens as {{role}}.\n\nOpen the link below to create your login (valid until {{expiresAt}}):\n\n{{acceptUrl}}',
+      ar: 'مرحباً،\n\nدعاك {{inviterName}} للانضمام إلى {{organizationName}} على OliveGardens بدور {{role}}.\n\nافتح الرابط التالي لإنشاء حسابك (صالح حتى {{expiresAt}}):\n\n{{acceptUrl}}',
+      es: 'Hola,\n\n{{inviterName}} te ha invitado a unirte a {{organizationName}} en OliveGardens como {{role}}.\n\nAbre el siguiente enlace para crear tu acceso (válido hasta el {{expiresAt}}):\n\n{{acceptUrl}}'
+    }
+  },
+
+  // Sent to the buyer when a quotation is sent / expires
+  quotationStatus: {
+    subject: {
+      en: 'Quotation {{quoteNumber}}: {{status}}',
+      ar: 'عرض السعر {{quoteNumber}}: {{status}}',
+      es: 'Cotización {{quoteNumber}}: {{status}}'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nYour quotation {{quoteNumber}} is now "{{status}}".\nTotal: {{subtotal}} {{currency}} ({{incoterm}})\nValid until: {{validUntil}}\n\nYou can review it in your account.',
+      ar: 'مرحباً {{name}}،\n\nحالة عرض السعر {{quoteNumber}} الآن "{{status}}".\nالإجمالي: {{subtotal}} {{currency}} ({{incoterm}})\nصالح حتى: {{validUntil}}\n\nيمكنك مراجعته من حسابك.',
+      es: 'Hola {{name}},\n\nTu cotización {{quoteNumber}} ahora está "{{status}}".\nTotal: {{subtotal}} {{currency}} ({{incoterm}})\nVálida hasta: {{validUntil}}\n\nPuedes revisarla en tu cuenta.'
+    }
+  },
+
+  // Sent to admins when a buyer accepts / rejects a quotation
+  quotationResponse: {
+    subject: {
+      en: 'Quotation {{quoteNumber}} was {{status}} by {{name}}'
+    },
+    body: {
+      en: 'The customer {{name}} ({{email}}) has {{status}} quotation {{quoteNumber}}.\nTotal: {{subtotal}} {{currency}} ({{incoterm}})'
+    }
+  },
+
+  // Sent to admins when a product / variant drops to its low-stock threshold
+  lowStockAlert: {
+    subject: {
+      en: 'Low stock: {{productName}} {{sku}}'
+    },
+    body: {
+      en: '{{productName}} {{sku}} is down to {{available}} available unit(s) across all warehouses (threshold: {{threshold}}).\n\nStock levels: {{inventoryUrl}}'
+    }
+  },
+
+  orderStatus: {
+    subject: {
+      en: 'Order {{orderNumber}}: {{status}}',
+      ar: 'الطلب {{orderNumber}}: {{status}}',
+      es: 'Pedido {{orderNumber}}: {{status}}'
+    },
+    body: {
+      en: 'Hello {{name}},\n\nYour order {{orderNumber}} is now "{{status}}".\n{{note}}\n\nTracking number: {{trackingNumber}}',
+      ar: 'مرحباً {{name}}،\n\nحالة طلبك {{orderNumber}} الآن "{{status}}".\n{{note}}\n\nرقم التتبع: {{trackingNumber}}',
+      es: 'Hola {{name}},\n\nTu pedido {{orderNumber}} ahora está "{{status}}".\n{{note}}\n\nNúmero de seguimiento: {{trackingNumber}}'
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const interpolate = (template, data, escape) =>
+  template.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+    const value = data[key] === undefined || data[key] === null ? '' : data[key];
+    return escape ? escapeHtml(value) : String(value);
+  });
+
+// ✅ Render a template to { subject, text, html } in the given locale
+const renderTemplate = (name, locale, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template '${name}'`);
+  }
+
+  const lang = template.body[locale] ? locale : 'en';
+  const dir = RTL_LOCALES.includes(lang) ? 'rtl' : 'ltr';
+  const subject = interpolate(template.subject[lang] || template.subject.en, data, false);
+  const body = template.body[lang];
+  const text = interpolate(body, data, false);
+  const htmlBody = interpolate(body, data, true).replace(/\n/g, '<br>');
+
+  const html = `<!DOCTYPE html>
+<html lang="${lang}" dir="${dir}">
+<body style="font-family: Arial, sans-serif; color: #333; line-height: 1.6;">
+  <div style="max-width: 600px; margin: 0 auto; padding: 24px;">
+    <h2 style="color: #556b2f;">🫒 OliveGardens</h2>
+    <p>${htmlBody}</p>
+  </div>
+</body>
+</html>`;
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  templates,
+  renderTemplate
+};
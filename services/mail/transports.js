@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+
+// ========================================
+// MAIL TRANSPORTS
+// ========================================
+// Every transport exposes send({ from, to, subject, text, html }) → Promise.
+// Selected with MAIL_TRANSPORT=smtp|file|console (see services/mail/index.js).
+
+// ✅ SMTP via nodemailer (production)
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+// ✅ Writes each message as JSON to MAIL_OUTPUT_DIR (local testing)
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'logs', 'mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+      const file = path.join(outputDir, `${id}.json`);
+
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { id, file };
+    }
+  };
+};
+
+// ✅ Logs messages to the console (development default)
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('\n📧 ========================================');
+    console.log(`📧 To: ${message.to}`);
+    console.log(`📧 Subject: ${message.subject}`);
+    console.log('📧 ----------------------------------------');
+    console.log(message.text);
+    console.log('📧 ========================================\n');
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const createTransport = (name) => {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport '${name}'. Allowed: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createTransport,
+  TRANSPORTS
+};
@@ -0,0 +1,169 @@
+const PriceList = require('../models/PriceList');
+const { BASE_CURRENCY } = require('../config/pricing');
+const { getLocationFromIP } = require('../utils/geo');
+const { isVerifiedBuyer } = require('../middleware/auth');
+const { convertPricing } = require('./currency');
+
+// ========================================
+// PRICE RESOLUTION
+// ========================================
+// For each product the first match wins:
+//   1. price list of the buyer's organization (highest priority first)
+//   2. price list of the buyer's country
+//   3. wholesale price, for verified buyers
+//   4. product base price
+// Quantity tiers of the winning source then pick the unit price.
+//
+// A variant is priced by a list entry for its SKU, else its own price, else
+// the chain above as if it were the product.
+
+// geoip-lite placeholders for private / unknown addresses
+const UNKNOWN_COUNTRIES = ['LC', 'UN'];
+
+const toCountryCode = (value) => {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) && !UNKNOWN_COUNTRIES.includes(code) ? code : null;
+};
+
+// ✅ Unit price for a quantity: the last tier reached, else the base price
+const unitPriceFor = (basePrice, tiers, quantity) => {
+  let unitPrice = basePrice;
+  for (const tier of tiers || []) {
+    if (quantity >= tier.minQuantity) unitPrice = tier.price;
+  }
+  return unitPrice;
+};
+
+const plainTiers = (tiers) => (tiers || []).map(({ minQuantity, price }) => ({ minQuantity, price }));
+
+// ✅ Buyer context from the request: organization, country (ISO code in the
+// address, else IP geolocation) and verification
+const pricingContext = (req) => {
+  const address = req.user && req.user.address;
+
+  return {
+    organizationId: req.organization ? req.organization._id : null,
+    country: toCountryCode(address && address.country) || toCountryCode(getLocationFromIP(req.ip).countryCode),
+    verifiedBuyer: isVerifiedBuyer(req)
+  };
+};
+
+/**
+ * Load the price lists that apply to `context` for `products` and return
+ * resolve(product, quantity, variant) → pricing, or null when the product has
+ * no price ("price on request"). Without a quantity the minimum order
+ * quantity is priced.
+ */
+const createPriceResolver = async (context, products) => {
+  const { organizationId, country, verifiedBuyer } = context;
+
+  const lists = await PriceList.findApplicable({
+    organizationId,
+    country,
+    productIds: products.map(product => product._id)
+  });
+
+  const forOrganization = (list) => !!organizationId && list.organizations.some(id => id.equals(organizationId));
+  const candidates = [
+    ...lists.filter(forOrganization).map(list => ({ list, source: 'organization' })),
+    ...lists.filter(list => !forOrganization(list)).map(list => ({ list, source: 'country' }))
+  ];
+
+  // Entry of the first list (best first) that prices the product / variant
+  const fromPriceLists = (product, sku, quantity, fallbackMinimum) => {
+    for (const { list, source } of candidates) {
+      const item = list.getItem(product._id, sku);
+      if (!item) continue;
+
+      const minOrderQuantity = item.minOrderQuantity || fallbackMinimum;
+      return {
+        currency: list.currency,
+        unitPrice: unitPriceFor(item.price, item.tiers, quantity || minOrderQuantity),
+        minOrderQuantity,
+        tiers: plainTiers(item.tiers),
+        source,
+        priceList: { id: list._id, name: list.name }
+      };
+    }
+    return null;
+  };
+
+  return (product, quantity, variant = null) => {
+    const minOrderQuantity = (variant && variant.minOrderQuantity) || product.minOrderQuantity || 1;
+    const currency = product.currency || BASE_CURRENCY;
+
+    // A variant's own list entry, then its own price; variants without a
+    // price fall through to the product's pricing below
+    if (variant) {
+      const listed = fromPriceLists(product, variant.sku, quantity, minOrderQuantity);
+      if (listed) return listed;
+
+      if (variant.price !== undefined && variant.price !== null) {
+        return {
+          currency,
+          unitPrice: unitPriceFor(variant.price, variant.priceTiers, quantity || minOrderQuantity),
+          minOrderQuantity,
+          tiers: plainTiers(variant.priceTiers),
+          source: 'variant',
+          priceList: null
+        };
+      }
+    }
+
+    const listed = fromPriceLists(product, null, quantity, minOrderQuantity);
+    if (listed) return listed;
+
+    if (product.price === undefined || product.price === null) return null;
+
+    // Wholesale replaces the base price; volume tiers still apply where cheaper
+    if (verifiedBuyer && product.wholesalePrice !== undefined && product.wholesalePrice !== null) {
+      const tiers = plainTiers(product.priceTiers).filter(tier => tier.price < product.wholesalePrice);
+      return {
+        currency,
+        unitPrice: unitPriceFor(product.wholesalePrice, tiers, quantity || minOrderQuantity),
+        minOrderQuantity,
+        tiers,
+        source: 'wholesale',
+        priceList: null
+      };
+    }
+
+    return {
+      currency,
+      unitPrice: unitPriceFor(product.price, product.priceTiers, quantity || minOrderQuantity),
+      minOrderQuantity,
+      tiers: plainTiers(product.priceTiers),
+      source: 'base',
+      priceList: null
+    };
+  };
+};
+
+// ✅ Product documents → JSON with the caller's resolved `pricing` (on the
+// product and each variant), converted when a converter (services/currency.js)
+// is given
+const withPricing = async (req, products, converter = null) => {
+  const resolve = await createPriceResolver(pricingContext(req), products);
+  return products.map(product => {
+    const data = product.toJSON();
+
+    if (Array.isArray(data.variants)) {
+      data.variants = product.variants.map((variant, i) => ({
+        ...data.variants[i],
+        pricing: convertPricing(resolve(product, undefined, variant), converter)
+      }));
+    }
+
+    return {
+      ...data,
+      pricing: convertPricing(resolve(product), converter)
+    };
+  });
+};
+
+module.exports = {
+  pricingContext,
+  createPriceResolver,
+  withPricing,
+  unitPriceFor
+};
@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { LOCALES } = require('../config/locales');
+const { NUMERIC_SPECIFICATIONS } = require('../config/specifications');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+// ========================================
+// PRODUCT CSV IMPORT / EXPORT
+// ========================================
+// One product per row, matched by `sku` (or `id` for products without one).
+// Translated fields get a column per language (name.en, name.ar...), lists
+// are "|"-separated (features.en, specifications.allergens) and price tiers
+// read "minQuantity:price|...", e.g. "10:9.5|50:9".
+//
+// Only the columns present in the file are imported, and empty cells leave
+// the current value alone - an exported file imports back unchanged. Images,
+// variants, documents, certifications and stock have their own endpoints.
+
+const LIST_SEPARATOR = '|';
+const MAX_IMPORT_ROWS = 5000;
+
+const localizedColumns = (path) => LOCALES.map(code => `${path}.${code}`);
+
+const FEATURE_COLUMNS = localizedColumns('features');
+const NUMBER_COLUMNS = [
+  'price', 'wholesalePrice', 'minOrderQuantity', 'lowStockThreshold', 'order',
+  ...Object.keys(NUMERIC_SPECIFICATIONS).map(key => `specifications.${key}`)
+];
+const BOOLEAN_COLUMNS = ['isActive', 'featured'];
+const LIST_COLUMNS = ['specifications.allergens', 'specifications.mayContain'];
+
+const PRODUCT_CSV_COLUMNS = [
+  'id', 'sku', 'category',
+  ...localizedColumns('name'),
+  ...localizedColumns('description'),
+  ...FEATURE_COLUMNS,
+  'price', 'currency', 'wholesalePrice', 'priceTiers', 'minOrderQuantity', 'lowStockThreshold',
+  'specifications.weight', 'specifications.shelfLife',
+  ...localizedColumns('specifications.packaging'),
+  ...localizedColumns('specifications.origin'),
+  ...localizedColumns('specifications.storage.conditions'),
+  ...Object.keys(NUMERIC_SPECIFICATIONS).map(key => `specifications.${key}`),
+  ...LIST_COLUMNS,
+  'specifications.hsCode',
+  ...BOOLEAN_COLUMNS,
+  'order'
+];
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const normalizeSku = (sku) => (sku ? String(sku).trim().toUpperCase() : null);
+
+const readPath = (object, path) => path.split('.').reduce((node, part) => (node == null ? undefined : node[part]), object);
+
+// Spreadsheets run cells starting with = + - @, a tab or a carriage return as
+// formulas - exported text (not numbers) gets a leading apostrophe, which
+// imports strip again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const guardText = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+const unguardText = (value) => (value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value);
+
+// ========================================
+// EXPORT
+// ========================================
+
+const productToRow = (product) => {
+  const data = product.toObject({ flattenMaps: true });
+  const row = { id: data._id.toString() };
+
+  for (const column of PRODUCT_CSV_COLUMNS.slice(1)) {
+    if (FEATURE_COLUMNS.includes(column)) {
+      const code = column.split('.')[1];
+      row[column] = guardText((data.features || []).map(feature => (feature && feature[code]) || '').join(LIST_SEPARATOR));
+    } else if (column === 'priceTiers') {
+      row[column] = (data.priceTiers || []).map(tier => `${tier.minQuantity}:${tier.price}`).join(LIST_SEPARATOR);
+    } else if (LIST_COLUMNS.includes(column)) {
+      row[column] = (readPath(data, column) || []).join(LIST_SEPARATOR);
+    } else {
+      row[column] = guardText(readPath(data, column));
+    }
+  }
+
+  return row;
+};
+
+/**
+ * Catalogue → CSV text in the import format, with a UTF-8 BOM so Excel
+ * opens Arabic and accented text correctly.
+ */
+const exportProducts = async (filter = {}) => {
+  const products = await Product.find(filter)
+    .select('+wholesalePrice')
+    .sort({ category: 1, sku: 1, createdAt: 1 });
+
+  return {
+    count: products.length,
+    csv: `\uFEFF${toCsv(PRODUCT_CSV_COLUMNS, products.map(productToRow))}`
+  };
+};
+
+// ========================================
+// IMPORT
+// ========================================
+
+const parseNumber = (cell) => {
+  // "9,5" from spreadsheets using a decimal comma
+  const number = Number(/^-?\d+,\d+$/.test(cell) ? cell.replace(',', '.') : cell);
+  if (!Number.isFinite(number)) throw new Error(`'${cell}' is not a number`);
+  return number;
+};
+
+const parseBoolean = (cell) => {
+  const value = cell.toLowerCase();
+  if (['true', 'yes', '1'].includes(value)) return true;
+  if (['false', 'no', '0'].includes(value)) return false;
+  throw new Error(`'${cell}' is not true / false`);
+};
+
+const parseTiers = (cell) => cell.split(LIST_SEPARATOR).map(part => {
+  const [minQuantity, price] = part.split(':').map(value => value && value.trim());
+  if (!minQuantity || !price) throw new Error(`'${part.trim()}' should read minQuantity:price`);
+  return { minQuantity: parseNumber(minQuantity), price: parseNumber(price) };
+});
+
+const parseList = (cell) => cell.split(LIST_SEPARATOR).map(value => value.trim()).filter(Boolean);
+
+const parseCell = (column, cell) => {
+  if (NUMBER_COLUMNS.includes(column)) return parseNumber(cell);
+  if (BOOLEAN_COLUMNS.includes(column)) return parseBoolean(cell);
+  if (LIST_COLUMNS.includes(column)) return parseList(cell);
+  if (column === 'priceTiers') return parseTiers(cell);
+  if (column === 'category') return cell.toLowerCase();
+  return cell;
+};
+
+// ✅ CSV row → { values: { 'name.en': ..., features: [...] }, problems: [...] }
+const parseRow = (row) => {
+  const values = {};
+  const problems = [];
+
+  for (const [column, raw] of Object.entries(row)) {
+    const cell = unguardText(raw);
+    if (column === 'id' || FEATURE_COLUMNS.includes(column) || cell === '') continue;
+
+    try {
+      values[column] = parseCell(column, cell);
+    } catch (error) {
+      problems.push(`${column}: ${error.message}`);
+    }
+  }
+
+  // features.<lang> columns line up by position: the 2nd entry of every
+  // language is the 2nd feature, so blanks between separators are kept
+  const lists = Object.fromEntries(LOCALES.map(code => {
+    const cell = unguardText(row[`features.${code}`] || '');
+    return [code, cell ? cell.split(LIST_SEPARATOR).map(text => text.trim()) : []];
+  }));
+  const count = Math.max(...Object.values(lists).map(list => list.length));
+  const features = Array.from({ length: count }, (_, i) =>
+    Object.fromEntries(LOCALES.map(code => [code, lists[code][i]]).filter(([, text]) => text)))
+    .filter(feature => Object.keys(feature).length > 0);
+  if (features.length > 0) values.features = features;
+
+  return { values, problems };
+};
+
+// Array entries get fresh ids when set, so compare values without them
+const comparable = (value) => JSON.stringify(
+  value && typeof value.toObject === 'function' ? value.toObject() : value,
+  (key, entry) => (key === '_id' || key === 'id' ? undefined : entry)
+);
+
+const validationMessages = (error) => (error.name === 'ValidationError'
+  ? Object.values(error.errors).map(e => e.message)
+  : [error.message]);
+
+/**
+ * Validate a product CSV and, unless dryRun, save the valid rows: existing
+ * products (by id, else sku) are updated, other rows create products.
+ * Rows with problems are skipped and reported as { line, sku, message }.
+ */
+const importProducts = async (text, { dryRun = false, userId = null } = {}) => {
+  const rows = parseCsv(text);
+
+  if (rows.length === 0) throw importError('The file has no product rows');
+  if (rows.length > MAX_IMPORT_ROWS) throw importError(`Import at most ${MAX_IMPORT_ROWS} rows per file`);
+
+  const columns = Object.keys(rows[0]);
+  const unknown = columns.filter(column => !PRODUCT_CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw importError(`Unknown column(s): ${unknown.join(', ')}. Export the catalogue for a template.`);
+  }
+  if (!columns.includes('sku') && !columns.includes('id')) {
+    throw importError('The file needs a sku (or id) column');
+  }
+
+  // Everything the rows refer to, in three queries
+  const skus = [...new Set(rows.map(row => normalizeSku(row.sku)).filter(Boolean))];
+  const ids = rows.map(row => row.id).filter(id => mongoose.isValidObjectId(id));
+  const existing = await Product.find({ $or: [{ sku: { $in: skus } }, { _id: { $in: ids } }] }).select('+wholesalePrice');
+  const byId = new Map(existing.map(product => [product._id.toString(), product]));
+  const bySku = new Map(existing.filter(product => product.sku).map(product => [product.sku, product]));
+
+  const variantOwners = new Map();
+  for (const product of await Product.find({ 'variants.sku': { $in: skus } }).select('variants.sku')) {
+    product.variants.forEach(variant => variantOwners.set(variant.sku, product._id.toString()));
+  }
+
+  const categories = new Set(await Category.find({ isActive: true }).distinct('value'));
+
+  const valid = [];
+  const errors = [];
+  const seen = new Map();
+
+  for (const row of rows) {
+    const sku = normalizeSku(row.sku);
+    const report = (messages) => messages.forEach(message =>
+      errors.push({ line: row.line, sku: sku || undefined, message }));
+
+    let product = null;
+    if (row.id) {
+      product = byId.get(row.id);
+      if (!product) {
+        report([`product ${row.id} not found`]);
+        continue;
+      }
+    } else if (sku) {
+      product = bySku.get(sku) || null;
+    } else {
+      report(['sku is required']);
+      continue;
+    }
+
+    const key = product ? product._id.toString() : sku;
+    if (seen.has(key)) {
+      report([`same product as line ${seen.get(key)}`]);
+      continue;
+    }
+    seen.set(key, row.line);
+    if (sku && product && !seen.has(sku)) seen.set(sku, row.line);
+
+    const { values, problems } = parseRow(row);
+    const ownId = product && product._id.toString();
+
+    if (sku) {
+      const skuOwner = bySku.get(sku);
+      if (skuOwner && skuOwner._id.toString() !== ownId) problems.push(`SKU ${sku} belongs to another product`);
+      if (variantOwners.has(sku) && variantOwners.get(sku) !== ownId) problems.push(`SKU ${sku} is a variant of another product`);
+    }
+    if (values.category && !categories.has(values.category)) {
+      problems.push(`Category '${values.category}' does not exist or is inactive`);
+    }
+
+    const document = product || new Product({ createdBy: userId });
+    for (const [path, value] of Object.entries(values)) {
+      if (document.isNew || comparable(document.get(path)) !== comparable(value)) {
+        document.set(path, value);
+      }
+    }
+
+    try {
+      await document.validate();
+    } catch (error) {
+      problems.push(...validationMessages(error));
+    }
+
+    if (problems.length > 0) {
+      report(problems);
+      continue;
+    }
+
+    const action = document.isNew ? 'create' : (document.isModified() ? 'update' : 'unchanged');
+    valid.push({ line: row.line, sku: document.sku, action, document });
+  }
+
+  if (!dryRun) {
+    for (const entry of valid.filter(({ action }) => action !== 'unchanged')) {
+      try {
+        await entry.document.save();
+      } catch (error) {
+        entry.failed = true;
+        const messages = error.code === 11000 ? [`SKU ${entry.sku} already exists`] : validationMessages(error);
+        messages.forEach(message => errors.push({ line: entry.line, sku: entry.sku, message }));
+      }
+    }
+  }
+
+  const done = valid.filter(({ failed }) => !failed);
+  const count = (action) => done.filter(entry => entry.action === action).length;
+
+  return {
+    dryRun,
+    total: rows.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    products: done.map(({ line, sku, action, document }) => ({
+      line,
+      sku,
+      action,
+      product: dryRun && action === 'create' ? undefined : document._id
+    })),
+    errors: errors.sort((a, b) => a.line - b.line)
+  };
+};
+
+module.exports = {
+  PRODUCT_CSV_COLUMNS,
+  exportProducts,
+  importProducts
+};
@@ -0,0 +1,98 @@
+// ========================================
+// CSV (RFC 4180)
+// ========================================
+// Small parser/writer for admin imports and exports: quoted fields, escaped
+// quotes ("") and newlines inside quotes, CRLF or LF line endings, and an
+// optional UTF-8 BOM (Excel).
+
+/**
+ * Parse CSV text into rows of objects keyed by the header row, e.g.
+ *   parseCsv('currency,rate\nEUR,0.92') → [{ currency: 'EUR', rate: '0.92' }]
+ * Each row also gets a non-enumerable `line` (1-based, header = line 1) for
+ * error messages. Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some(value => value.trim() !== '')) {
+      records.push({ values: record, line: recordLine });
+    }
+    record = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    const error = new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (field !== '' || record.length > 0) endRecord();
+  if (records.length === 0) return [];
+
+  const headers = records[0].values.map(header => header.trim());
+
+  return records.slice(1).map(({ values, line: rowLine }) => {
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = values[i] !== undefined ? values[i].trim() : '';
+    });
+    Object.defineProperty(row, 'line', { value: rowLine, enumerable: false });
+    return row;
+  });
+};
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ✅ Rows of objects → CSV text with the given column order
+const toCsv = (columns, rows) => [
+  columns.map(escapeField).join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
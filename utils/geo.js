@@ -0,0 +1,52 @@
+const geoip = require('geoip-lite');
+
+// ========================================
+// IP GEOLOCATION (geoip-lite, offline database)
+// ========================================
+
+const isPrivateIP = (ip) =>
+  !ip || ip === '::1' || ip === '127.0.0.1' || ip.startsWith('192.168.') || ip.startsWith('10.');
+
+const getLocationFromIP = (rawIp) => {
+  // IPv4 addresses arrive IPv6-mapped behind some proxies (::ffff:1.2.3.4)
+  const ip = rawIp ? String(rawIp).replace(/^::ffff:/, '') : rawIp;
+
+  if (isPrivateIP(ip)) {
+    return {
+      country: 'Local',
+      countryCode: 'LC',
+      city: 'Localhost'
+    };
+  }
+
+  const geo = geoip.lookup(ip);
+
+  if (geo) {
+    return {
+      country: geo.country,
+      countryCode: geo.country,
+      city: geo.city || 'Unknown',
+      region: geo.region || 'Unknown',
+      timezone: geo.timezone || 'Unknown'
+    };
+  }
+
+  return {
+    country: 'Unknown',
+    countryCode: 'UN',
+    city: 'Unknown'
+  };
+};
+
+// "Rome, IT" - for login history and session lists
+const formatLocation = (location) => {
+  if (!location) return 'Unknown';
+  return [location.city, location.countryCode]
+    .filter(part => part && part !== 'Unknown')
+    .join(', ') || 'Unknown';
+};
+
+module.exports = {
+  getLocationFromIP,
+  formatLocation
+};
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+
+// ========================================
+// SHARED LIST QUERY LAYER
+// ========================================
+// Parses ?page=&limit=&cursor=&sort=&fields= for list endpoints and
+// returns a consistent envelope:
+//   { success, data, pagination: { total, limit, page, pages, hasMore, nextCursor } }
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// ✅ "-createdAt,name.en" → { createdAt: -1, 'name.en': 1 } (whitelisted fields only)
+const parseSort = (sortParam, sortable, defaultSort) => {
+  const raw = sortParam || defaultSort || '-createdAt';
+  const sort = {};
+
+  for (const part of String(raw).split(',').map(s => s.trim()).filter(Boolean)) {
+    const direction = part.startsWith('-') ? -1 : 1;
+    const field = part.replace(/^[-+]/, '');
+
+    if (sortParam && !sortable.includes(field)) {
+      throw badRequest(`Cannot sort by '${field}'. Allowed: ${sortable.join(', ')}`);
+    }
+    sort[field] = direction;
+  }
+
+  // Stable ordering (and cursor tie-breaking) always ends with _id
+  if (!sort._id) {
+    const directions = Object.values(sort);
+    sort._id = directions.length > 0 ? directions[directions.length - 1] : -1;
+  }
+
+  return sort;
+};
+
+// ✅ "name,price" → 'name price _id' (whitelisted fields only)
+const parseFields = (fieldsParam, selectable) => {
+  if (!fieldsParam) return null;
+
+  const fields = String(fieldsParam).split(',').map(f => f.trim()).filter(Boolean);
+  const invalid = fields.filter(f => !selectable.includes(f));
+
+  if (invalid.length > 0) {
+    throw badRequest(`Cannot select field(s) '${invalid.join(', ')}'. Allowed: ${selectable.join(', ')}`);
+  }
+
+  return fields;
+};
+
+// ========================================
+// CURSOR ENCODING
+// ========================================
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value === undefined ? null : value;
+};
+
+// Cursors come from the client: only plain values, { $date } and { $oid } are
+// accepted - any other object would reach the filter as a query operator
+const decodeValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+
+  const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    if (!isNaN(date.getTime())) return date;
+  }
+  if (keys.length === 1 && keys[0] === '$oid' && typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+    return new mongoose.Types.ObjectId(value.$oid);
+  }
+
+  throw new Error('unsupported cursor value');
+};
+
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(field => encodeValue(doc.get ? doc.get(field) : doc[field]));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || values.length !== Object.keys(sort).length) {
+      throw new Error('length mismatch');
+    }
+    return values.map(decodeValue);
+  } catch (error) {
+    throw badRequest('Invalid cursor. Cursors are only valid for the sort they were issued with.');
+  }
+};
+
+// ✅ Lexicographic "after this row" filter for a multi-field sort
+const buildCursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  const or = fields.map((field, i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) {
+      clause[fields[j]] = values[j];
+    }
+    clause[field] = { [sort[field] === 1 ? '$gt' : '$lt']: values[i] };
+    return clause;
+  });
+  return { $or: or };
+};
+
+// ========================================
+// PAGINATE
+// ========================================
+/**
+ * Run a paginated find and return the standard list envelope.
+ *
+ * options:
+ *   sortable     - fields allowed in ?sort=
+ *   selectable   - fields allowed in ?fields=
+ *   defaultSort  - sort string used when ?sort= is absent
+ *   select       - base projection when ?fields= is absent (e.g. '-password')
+ *   populate     - populate argument(s) applied to the query
+ *   defaultLimit / maxLimit
+ */
+const paginate = async (Model, filter, query = {}, options = {}) => {
+  const {
+    sortable = [],
+    selectable = [],
+    defaultSort,
+    select,
+    populate,
+    defaultLimit = DEFAULT_LIMIT,
+    maxLimit = MAX_LIMIT
+  } = options;
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const sort = parseSort(query.sort, sortable, defaultSort);
+  const fields = parseFields(query.fields, selectable);
+
+  let findFilter = filter;
+  if (query.cursor) {
+    const values = decodeCursor(query.cursor, sort);
+    findFilter = { $and: [filter, buildCursorFilter(sort, values)] };
+  }
+
+  let dbQuery = Model.find(findFilter).sort(sort).limit(limit + 1);
+
+  if (!query.cursor) {
+    dbQuery = dbQuery.skip((page - 1) * limit);
+  }
+
+  if (fields) {
+    // Sort keys must come back so the next cursor can be built
+    dbQuery = dbQuery.select([...new Set([...fields, ...Object.keys(sort)])].join(' '));
+  } else if (select) {
+    dbQuery = dbQuery.select(select);
+  }
+
+  if (populate) {
+    dbQuery = dbQuery.populate(populate);
+  }
+
+  const [rows, total] = await Promise.all([
+    dbQuery,
+    Model.countDocuments(filter)
+  ]);
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  const pagination = {
+    total,
+    limit,
+    hasMore,
+    nextCursor: hasMore && data.length > 0 ? encodeCursor(data[data.length - 1], sort) : null
+  };
+
+  if (!query.cursor) {
+    pagination.page = page;
+    pagination.pages = Math.ceil(total / limit);
+  }
+
+  return {
+    success: true,
+    data,
+    pagination
+  };
+};
+
+module.exports = {
+  paginate,
+  parseSort,
+  parseFields,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
@@ -0,0 +1,118 @@
+const { LOCALES } = require('../config/locales');
+
+// ========================================
+// MULTILINGUAL SEARCH HELPERS
+// ========================================
+
+// Arabic tashkeel, hamza marks left by NFD, superscript alef and tatweel
+const ARABIC_DIACRITICS = /[\u064B-\u0655\u0670\u0640]/g;
+
+// Latin combining marks left over after NFD decomposition (á → a, ñ → n)
+const LATIN_DIACRITICS = /[\u0300-\u036f]/g;
+
+const ARABIC_LETTER_MAP = {
+  'أ': 'ا',
+  'إ': 'ا',
+  'آ': 'ا',
+  'ٱ': 'ا',
+  'ى': 'ي',
+  'ئ': 'ي',
+  'ؤ': 'و',
+  'ة': 'ه'
+};
+
+// Field weights used for relevance ranking
+const FIELD_WEIGHTS = {
+  name: 10,
+  features: 4,
+  variants: 5,
+  origin: 3,
+  description: 2
+};
+
+// ✅ Normalize text so "زيت الزّيتون" matches "زيت الزيتون" and "aceitúna" matches "aceituna"
+const normalizeText = (value) => {
+  if (!value) return '';
+
+  return String(value)
+    .normalize('NFD')
+    .replace(LATIN_DIACRITICS, '')
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(/[أإآٱىئؤة]/g, (ch) => ARABIC_LETTER_MAP[ch])
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const tokenize = (value) => {
+  const normalized = normalizeText(value);
+  if (!normalized) return [];
+  return [...new Set(normalized.split(' ').filter(token => token.length > 0))];
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Variant attributes are a Map on documents and a plain object on lean reads
+const attributeValues = (attributes) => (attributes instanceof Map
+  ? [...attributes.values()]
+  : Object.values(attributes || {}));
+
+// ✅ Collect the searchable text of a product, grouped by ranking field
+const getProductSearchFields = (product) => {
+  const localized = (obj) => (obj ? LOCALES.map(code => obj[code]).filter(Boolean).join(' ') : '');
+  const specifications = product.specifications || {};
+
+  return {
+    name: normalizeText(localized(product.name)),
+    description: normalizeText(localized(product.description)),
+    features: normalizeText((product.features || []).map(localized).join(' ')),
+    origin: normalizeText(localized(specifications.origin)),
+    // Product and variant SKUs, labels and attribute values ("5 L", "tin", "extra virgin")
+    variants: normalizeText([product.sku, ...(product.variants || []).map(variant => [
+      variant.sku,
+      localized(variant.label),
+      ...attributeValues(variant.attributes)
+    ].join(' '))].filter(Boolean).join(' '))
+  };
+};
+
+const buildSearchText = (product) => Object.values(getProductSearchFields(product)).join(' ').trim();
+
+// ✅ Score a product against the query tokens (higher is better)
+const scoreProduct = (product, tokens, rawQuery) => {
+  const fields = getProductSearchFields(product);
+  let score = 0;
+
+  for (const token of tokens) {
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const text = fields[field];
+      if (!text) continue;
+
+      const words = text.split(' ');
+      if (words.includes(token)) {
+        score += weight * 2;
+      } else if (words.some(word => word.startsWith(token))) {
+        score += weight * 1.5;
+      } else if (text.includes(token)) {
+        score += weight;
+      }
+    }
+  }
+
+  // Whole phrase in the name is the strongest signal
+  const phrase = normalizeText(rawQuery);
+  if (phrase && fields.name.includes(phrase)) {
+    score += FIELD_WEIGHTS.name * 3;
+  }
+
+  return score;
+};
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  escapeRegex,
+  buildSearchText,
+  scoreProduct
+};
@@ -0,0 +1,104 @@
+const { LOCALES, DEFAULT_LOCALE } = require('../config/locales');
+
+// ========================================
+// TRANSLATION GAP DETECTION
+// ========================================
+// A translated field is any { en, ar, ... } object found in a document.
+// A locale is "missing" on a field when at least one other locale has text
+// there and it doesn't. Fields empty in every locale are not translation
+// work (nothing to translate from), so they are not reported.
+
+const isPlainObject = (value) =>
+  !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isTranslationField = (value) => {
+  if (!isPlainObject(value)) return false;
+
+  const keys = Object.keys(value).filter(key => key !== '_id');
+  return keys.length > 0 &&
+    keys.every(key => LOCALES.includes(key)) &&
+    keys.every(key => value[key] === null || value[key] === undefined || typeof value[key] === 'string');
+};
+
+const hasText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// ✅ Walk a plain (lean) document and return every translated field with its path
+const collectTranslationFields = (value, path = '', fields = []) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => collectTranslationFields(item, path ? `${path}.${index}` : String(index), fields));
+    return fields;
+  }
+
+  if (!isPlainObject(value)) return fields;
+
+  if (isTranslationField(value)) {
+    fields.push({ path, value });
+    return fields;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key === '_id' || key === '__v') continue;
+    collectTranslationFields(child, path ? `${path}.${key}` : key, fields);
+  }
+
+  return fields;
+};
+
+// ✅ Translated fields of a document that are missing one or more locales
+const findTranslationGaps = (doc) => {
+  return collectTranslationFields(doc)
+    .map(({ path, value }) => {
+      const present = LOCALES.filter(code => hasText(value[code]));
+      if (present.length === 0) return null;
+
+      const missing = LOCALES.filter(code => !hasText(value[code]));
+      if (missing.length === 0) return null;
+
+      const sourceLocale = present.includes(DEFAULT_LOCALE) ? DEFAULT_LOCALE : present[0];
+
+      return {
+        path,
+        missing,
+        sourceLocale,
+        source: value[sourceLocale],
+        values: LOCALES.reduce((acc, code) => ({ ...acc, [code]: value[code] || '' }), {})
+      };
+    })
+    .filter(Boolean);
+};
+
+// ✅ Count translatable fields and gaps per locale
+const summarizeTranslations = (docs) => {
+  const summary = {
+    documents: docs.length,
+    documentsWithGaps: 0,
+    fields: 0,
+    missing: LOCALES.reduce((acc, code) => ({ ...acc, [code]: 0 }), {}),
+    completeness: {}
+  };
+
+  for (const doc of docs) {
+    const translatable = collectTranslationFields(doc)
+      .filter(({ value }) => LOCALES.some(code => hasText(value[code])));
+    const gaps = findTranslationGaps(doc);
+
+    summary.fields += translatable.length;
+    if (gaps.length > 0) summary.documentsWithGaps += 1;
+    gaps.forEach(gap => gap.missing.forEach(code => { summary.missing[code] += 1; }));
+  }
+
+  LOCALES.forEach(code => {
+    summary.completeness[code] = summary.fields === 0
+      ? 100
+      : Math.round(((summary.fields - summary.missing[code]) / summary.fields) * 1000) / 10;
+  });
+
+  return summary;
+};
+
+module.exports = {
+  collectTranslationFields,
+  findTranslationGaps,
+  summarizeTranslations,
+  isTranslationField
+};